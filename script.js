@@ -11,10 +11,28 @@
    GLOBAL STATE & CONSTANTS
    ===================================================================================== */
 
+/** Tool version (report footer) */
+const APP_VERSION = "1.0.0";
+
 /** File locations for AS568 data */
 const AS568_MM_CSV_URL = "data/AS568_mm.csv";
 const AS568_IN_CSV_URL = "data/AS568_in.csv";
 
+/**
+ * Size series offered in the size picker. `files` lists a CSV per unit; a series
+ * with only a mm table is converted for inch display (picks keep the exact mm).
+ * Tolerance columns: AS568 and JIS B 2401-1 carry the ID and CS tolerances of their
+ * own tables (AS568 ID ± grows in steps with ID and cross-section series); ISO and
+ * metric use ID ±(0.009·d1^0.95 + 0.11) mm per ISO 3601-1 class A.
+ */
+const SIZE_SERIES = {
+  as568:   { label: "AS568 (inch)",        standard: "AS568",        files: { mm: AS568_MM_CSV_URL, in: AS568_IN_CSV_URL } },
+  iso3601: { label: "ISO 3601-1 (metric)", standard: "ISO 3601-1",   files: { mm: "data/ISO3601_mm.csv" } },
+  jis:     { label: "JIS B 2401 (P/G/V)",  standard: "JIS B 2401-1", files: { mm: "data/JIS_B2401_mm.csv" } },
+  metric:  { label: "Metric ID × CS",      standard: "Metric",       files: { mm: "data/Metric_mm.csv" } }
+};
+const SIZE_SERIES_DEFAULT = "as568";
+
 /** Unit settings (length + temperature) */
 let unit = "in";      // “in” | “mm”
 let tempUnit = "°C";  // “°C” | “°F”
@@ -25,10 +43,20 @@ let as568DataIN = null;
 let as568LoadedMM = false;
 let as568LoadedIN = false;
 
+/** Other size series caches ("series:unit" → parsed rows) */
+let sizeSeriesCache = {};
+
+/** Picked standard size { series, standard, code }; cleared when CS/ID are typed */
+let oringSizeRef = null;
+
+/** Design-library entry the form was opened from / last saved to (null → unsaved) */
+let currentDesignId = null;
+
 /** AS568 modal state */
 let as568Data = [];
 let as568Filtered = [];
 let as568SelectedIndex = -1;
+let as568Sort = { key: null, dir: 1 };   // key null → catalog order, or nearest-first with a target
 
 /** Calculation state */
 let hasCalculated = false;
@@ -36,6 +64,12 @@ let hasCalculated = false;
 /** Engineering constants */
 const PI = Math.PI;
 const IN_TO_MM = 25.4;
+const LBF_TO_N = 4.4482216;
+const PRESSURE_TO_MPA = { MPa: 1, bar: 0.1, psi: 0.006894757 };
+const PRESSURE_UNIT_DEFAULT = "bar";
+const HOURS_PER_YEAR = 8760;
+const LIFE_UNIT_DEFAULT = "years";
+const CANONICAL_LENGTH = "mm"; // every length original is stored & computed in mm
 const AMBIENT = 23;        // canonical °C anchor
 const ALPHA_DEFAULT = 316e-6;
 
@@ -46,22 +80,298 @@ const mandatoryFields = [
   "alpha","oringMaterialGroup"
 ];
 
-/** Material → CTE mapping */
+/**
+ * Toleranced dimensions: engine parameter key ↔ nominal field ↔ optional ± field.
+ * Blank tolerance fields count as 0 (exact dimension).
+ */
+const TOLERANCE_FIELDS = [
+  { key:"gw",         id:"glandWidth",      tolId:"glandWidthTol",      label:"Gland width" },
+  { key:"gd",         id:"glandDepth",      tolId:"glandDepthTol",      label:"Gland depth" },
+  { key:"angle",      id:"glandAngle",      tolId:"glandAngleTol",      label:"Gland angle" },
+  { key:"rTop",       id:"glandTopR",       tolId:"glandTopRTol",       label:"Top radius" },
+  { key:"rBottom",    id:"glandBottomR",    tolId:"glandBottomRTol",    label:"Bottom radius" },
+  { key:"gap",        id:"gap",             tolId:"gapTol",             label:"Gap" },
+  { key:"centerline", id:"glandCenterline", tolId:"glandCenterlineTol", label:"Centerline" },
+  { key:"cs",         id:"oringCS",         tolId:"oringCSTol",         label:"O-ring CS" },
+  { key:"id",         id:"oringID",         tolId:"oringIDTol",         label:"O-ring ID" }
+];
+const TOLERANCE_IDS = new Set(TOLERANCE_FIELDS.map(f => f.tolId));
+
+/** Mandatory fields for the selected gland type (its hidden inputs are skipped) */
+function activeMandatoryFields(){
+  const hidden = GLAND_TYPES[readGlandType()].hidden;
+  return mandatoryFields.filter(id => !hidden.includes(id));
+}
+
+/**
+ * Material → CTE and temperature limits (°C)
+ *   minC / maxC : continuous service range
+ *   excMaxC     : short-excursion maximum (hours, not continuous)
+ *   tr10C       : TR-10 (10% retraction; elasticity is being lost below it)
+ *   brittleC    : brittleness point (ring cracks if flexed or shocked)
+ */
 const MATERIAL_TO_CTE = {
-  "FFKM": { alpha: 0.00035 },
-  "FKM":  { alpha: 0.00025 },
-  "NBR":  { alpha: 0.000175 },
-  "VMQ":  { alpha: 0.00021 },
-  "HNBR": { alpha: 0.000175 },
-  "EPDM": { alpha: 0.000175 },
-  "PU":   { alpha: 0.000175 },
-  "ACM":  { alpha: 0.00018 },
-  "CR":   { alpha: 0.000185 },
-  "FVMQ": { alpha: 0.00022 },
-  "NR":   { alpha: 0.00018 },
-  "IIR":  { alpha: 0.00013 },
-  "SBR":  { alpha: 0.00018 }
+  "FFKM": { alpha: 0.00035,  minC: -15, maxC: 300, excMaxC: 325, tr10C: -5,  brittleC: -35 },
+  "FKM":  { alpha: 0.00025,  minC: -20, maxC: 200, excMaxC: 250, tr10C: -17, brittleC: -40 },
+  "NBR":  { alpha: 0.000175, minC: -35, maxC: 110, excMaxC: 125, tr10C: -28, brittleC: -55 },
+  "VMQ":  { alpha: 0.00021,  minC: -60, maxC: 200, excMaxC: 230, tr10C: -55, brittleC: -80 },
+  "HNBR": { alpha: 0.000175, minC: -30, maxC: 150, excMaxC: 165, tr10C: -24, brittleC: -50 },
+  "EPDM": { alpha: 0.000175, minC: -50, maxC: 150, excMaxC: 175, tr10C: -45, brittleC: -60 },
+  "PU":   { alpha: 0.000175, minC: -35, maxC: 80,  excMaxC: 100, tr10C: -30, brittleC: -55 },
+  "ACM":  { alpha: 0.00018,  minC: -20, maxC: 150, excMaxC: 175, tr10C: -15, brittleC: -35 },
+  "CR":   { alpha: 0.000185, minC: -40, maxC: 100, excMaxC: 120, tr10C: -35, brittleC: -50 },
+  "FVMQ": { alpha: 0.00022,  minC: -55, maxC: 175, excMaxC: 200, tr10C: -50, brittleC: -70 },
+  "NR":   { alpha: 0.00018,  minC: -50, maxC: 80,  excMaxC: 100, tr10C: -45, brittleC: -60 },
+  "IIR":  { alpha: 0.00013,  minC: -40, maxC: 120, excMaxC: 135, tr10C: -35, brittleC: -55 },
+  "SBR":  { alpha: 0.00018,  minC: -45, maxC: 100, excMaxC: 115, tr10C: -40, brittleC: -55 }
+};
+
+/** Housing material → linear CTE (1/°C); "Custom" reads the housingAlpha field */
+const HOUSING_TO_CTE = {
+  "Aluminium":       { alpha: 23.1e-6 },
+  "Stainless steel": { alpha: 17.3e-6 },
+  "Carbon steel":    { alpha: 11.7e-6 },
+  "Titanium":        { alpha: 8.6e-6 },
+  "PEEK":            { alpha: 47e-6 },
+  "PA66 (nylon)":    { alpha: 80e-6 },
+  "POM (acetal)":    { alpha: 110e-6 }
+};
+
+/** Optional inputs that still invalidate shown results when edited */
+const OPTIONAL_CALC_IDS = new Set(["housingAlpha","mediaSwell","pressure","designLife"]);
+
+/** Unit selectors → the as-typed field they qualify (value kept when the unit changes) */
+const UNIT_SELECT_FIELDS = {
+  pressureUnit:   { field: "pressure",   def: PRESSURE_UNIT_DEFAULT },
+  designLifeUnit: { field: "designLife", def: LIFE_UNIT_DEFAULT }
+};
+
+/** Fluid media shown in the media selector (key → label) */
+const MEDIA_LABELS = {
+  air:       "Dry air / inert gas",
+  mineral:   "Mineral oil",
+  hlp:       "Hydraulic oil (HLP)",
+  gasoline:  "Gasoline",
+  diesel:    "Diesel fuel",
+  jet:       "Jet fuel (JP-8)",
+  glycol:    "Water–glycol coolant",
+  steam:     "Hot water / steam",
+  brake:     "Brake fluid (glycol, DOT 4)",
+  phosphate: "Phosphate ester (Skydrol)",
+  ketone:    "Acetone / ketones",
+  aromatic:  "Toluene / aromatics",
+  ethanol:   "Ethanol",
+  silicone:  "Silicone oil"
+};
+
+/**
+ * Material group → media → [rating, typical volume swell %].
+ * Ratings: A satisfactory · B fair · C doubtful · X incompatible.
+ * Swell values are typical room-temperature immersion figures; a measured
+ * value entered in the form always overrides them.
+ */
+const MEDIA_COMPATIBILITY = {
+  "FFKM": { air:["A",0], mineral:["A",1],  hlp:["A",1],  gasoline:["A",2],  diesel:["A",1],  jet:["A",2],  glycol:["A",1], steam:["A",3],  brake:["A",1],  phosphate:["A",2],  ketone:["A",2],  aromatic:["A",3],  ethanol:["A",1],  silicone:["A",0] },
+  "FKM":  { air:["A",0], mineral:["A",2],  hlp:["A",2],  gasoline:["A",4],  diesel:["A",2],  jet:["A",3],  glycol:["B",5], steam:["C",10], brake:["X",25], phosphate:["X",30], ketone:["X",150],aromatic:["B",10], ethanol:["B",6],  silicone:["A",1] },
+  "NBR":  { air:["A",0], mineral:["A",3],  hlp:["A",5],  gasoline:["B",20], diesel:["A",10], jet:["A",12], glycol:["A",3], steam:["C",8],  brake:["C",15], phosphate:["X",40], ketone:["X",100],aromatic:["X",80], ethanol:["B",8],  silicone:["A",1] },
+  "VMQ":  { air:["A",0], mineral:["B",20], hlp:["C",25], gasoline:["X",150],diesel:["X",100],jet:["X",110],glycol:["A",2], steam:["C",5],  brake:["B",3],  phosphate:["C",15], ketone:["C",15], aromatic:["X",120],ethanol:["A",2],  silicone:["X",40] },
+  "HNBR": { air:["A",0], mineral:["A",3],  hlp:["A",4],  gasoline:["B",15], diesel:["A",8],  jet:["A",10], glycol:["A",2], steam:["B",5],  brake:["C",12], phosphate:["X",35], ketone:["X",80], aromatic:["C",50], ethanol:["A",4],  silicone:["A",1] },
+  "EPDM": { air:["A",0], mineral:["X",150],hlp:["X",120],gasoline:["X",200],diesel:["X",150],jet:["X",150],glycol:["A",1], steam:["A",2],  brake:["A",3],  phosphate:["A",5],  ketone:["A",5],  aromatic:["X",150],ethanol:["A",2],  silicone:["A",2] },
+  "PU":   { air:["A",0], mineral:["A",3],  hlp:["A",4],  gasoline:["C",20], diesel:["B",10], jet:["C",20], glycol:["C",5], steam:["X",5],  brake:["X",20], phosphate:["X",40], ketone:["X",60], aromatic:["X",70], ethanol:["C",15], silicone:["A",1] },
+  "ACM":  { air:["A",0], mineral:["A",4],  hlp:["A",5],  gasoline:["C",30], diesel:["C",20], jet:["C",25], glycol:["X",15],steam:["X",10], brake:["X",30], phosphate:["X",50], ketone:["X",100],aromatic:["X",90], ethanol:["X",20], silicone:["A",1] },
+  "CR":   { air:["A",0], mineral:["B",15], hlp:["B",15], gasoline:["C",40], diesel:["C",30], jet:["C",35], glycol:["A",3], steam:["C",10], brake:["B",8],  phosphate:["X",40], ketone:["C",30], aromatic:["X",100],ethanol:["A",3],  silicone:["A",1] },
+  "FVMQ": { air:["A",0], mineral:["A",3],  hlp:["A",4],  gasoline:["A",10], diesel:["A",6],  jet:["A",8],  glycol:["A",2], steam:["C",5],  brake:["C",15], phosphate:["X",30], ketone:["X",150],aromatic:["B",15], ethanol:["A",5],  silicone:["A",2] },
+  "NR":   { air:["A",0], mineral:["X",120],hlp:["X",100],gasoline:["X",150],diesel:["X",120],jet:["X",130],glycol:["A",2], steam:["C",5],  brake:["A",4],  phosphate:["C",15], ketone:["B",8],  aromatic:["X",150],ethanol:["A",2],  silicone:["A",2] },
+  "IIR":  { air:["A",0], mineral:["X",100],hlp:["X",90], gasoline:["X",150],diesel:["X",120],jet:["X",130],glycol:["A",1], steam:["A",2],  brake:["A",3],  phosphate:["A",5],  ketone:["A",4],  aromatic:["X",150],ethanol:["A",2],  silicone:["A",2] },
+  "SBR":  { air:["A",0], mineral:["X",100],hlp:["X",90], gasoline:["X",150],diesel:["X",120],jet:["X",130],glycol:["A",2], steam:["C",5],  brake:["A",4],  phosphate:["X",20], ketone:["B",10], aromatic:["X",150],ethanol:["A",3],  silicone:["A",2] }
+};
+
+const MEDIA_RATING_LABELS = { A:"satisfactory", B:"fair", C:"doubtful", X:"incompatible" };
+
+/** Dovetail retention limits (insertion squeeze needed to push the ring past the lips, %) */
+const RETENTION_LIMITS = {
+  marginalPct: 3,    // below: ring may drop out with handling/vibration (amber)
+  highPct: 20,       // above: installation is hard on the ring (amber)
+  damagePct: 30      // above: ring cannot be installed without damage (red)
+};
+
+/**
+ * Extrusion-limit curves (static seal, no backup ring): [pressure MPa, maximum
+ * diametral clearance mm] per Shore A hardness, approximating the usual handbook
+ * chart. Each curve ends where a backup ring becomes mandatory.
+ */
+const EXTRUSION_CURVES = {
+  70: [[3.45,0.51],[6.9,0.25],[10.3,0.15],[13.8,0.10],[20.7,0.05]],
+  80: [[3.45,0.76],[6.9,0.41],[10.3,0.25],[13.8,0.18],[20.7,0.10],[27.6,0.05]],
+  90: [[3.45,1.02],[6.9,0.61],[10.3,0.41],[13.8,0.30],[20.7,0.18],[34.5,0.10],[55.2,0.05]]
+};
+const EXTRUSION_HARDNESS_DEFAULT = 70;  // assumed (softest curve) when no hardness is selected
+const EXTRUSION_WARN_RATIO = 0.8;       // clearance above 80% of the limit → amber
+
+/**
+ * Compression-set aging per elastomer family (Arrhenius). Each entry is anchored
+ * on a typical datasheet point — refSetPct set after refHours at refC — and
+ * shifted to other temperatures by the activation energy eaKJ (kJ/mol).
+ */
+const AGING_PARAMS = {
+  "FFKM": { eaKJ: 120, refC: 200, refHours: 70, refSetPct: 20 },
+  "FKM":  { eaKJ: 110, refC: 200, refHours: 70, refSetPct: 15 },
+  "NBR":  { eaKJ: 85,  refC: 100, refHours: 70, refSetPct: 20 },
+  "VMQ":  { eaKJ: 75,  refC: 175, refHours: 70, refSetPct: 20 },
+  "HNBR": { eaKJ: 90,  refC: 150, refHours: 70, refSetPct: 20 },
+  "EPDM": { eaKJ: 90,  refC: 150, refHours: 70, refSetPct: 20 },
+  "PU":   { eaKJ: 80,  refC: 70,  refHours: 70, refSetPct: 30 },
+  "ACM":  { eaKJ: 85,  refC: 150, refHours: 70, refSetPct: 30 },
+  "CR":   { eaKJ: 80,  refC: 100, refHours: 70, refSetPct: 25 },
+  "FVMQ": { eaKJ: 80,  refC: 175, refHours: 70, refSetPct: 25 },
+  "NR":   { eaKJ: 80,  refC: 70,  refHours: 70, refSetPct: 25 },
+  "IIR":  { eaKJ: 90,  refC: 100, refHours: 70, refSetPct: 25 },
+  "SBR":  { eaKJ: 80,  refC: 70,  refHours: 70, refSetPct: 20 }
+};
+const AGING_SHAPE = 0.5;  // stretched-exponential exponent of the set-vs-time curve
+
+/**
+ * Gland types: hidden inputs, fixed angle, retention and the RED band limits
+ * (compression %, maximum gland fill %) used by the "standard" rule profile.
+ * `search` overrides DESIGN_SEARCH ranges.
+ * - dovetail:     two angled walls (the original model)
+ * - halfDovetail: one angled wall, one vertical wall
+ * - rectangular:  plain face-seal groove, both walls vertical
+ * - triangular:   V-groove; depth follows from width and wall angle, r₂ unused
+ */
+const GLAND_TYPES = {
+  dovetail: {
+    label: "Full dovetail", hidden: [], retains: true,
+    limits: { compMin: 15, compMax: 25, fillMax: 90 }
+  },
+  halfDovetail: {
+    label: "Half dovetail", hidden: [], retains: true,
+    limits: { compMin: 15, compMax: 25, fillMax: 90 }
+  },
+  rectangular: {
+    label: "Rectangular", hidden: ["glandAngle"], fixedAngle: 90, retains: false,
+    limits: { compMin: 15, compMax: 30, fillMax: 90 },
+    search: { angles: [90], width: { from: 1.20, to: 1.60, step: 0.05 } }
+  },
+  triangular: {
+    label: "Triangular", hidden: ["glandDepth","glandBottomR"], retains: false,
+    limits: { compMin: 15, compMax: 30, fillMax: 95 },
+    search: { angles: [45], width: { from: 1.75, to: 2.05, step: 0.025 }, depth: null, rBottom: [0] }
+  }
+};
+const GLAND_TYPE_DEFAULT = "dovetail";
+
+/** Selected gland type key (unknown/blank → full dovetail) */
+function readGlandType(){
+  const v = document.getElementById("glandType")?.value;
+  return GLAND_TYPES[v] ? v : GLAND_TYPE_DEFAULT;
+}
+
+/**
+ * Design-rule profiles. Every RED/AMBER check, the result colouring, the sweep
+ * bands, the stack-up, the simulation and the solver read one resolved rule set:
+ *   compMin ≤ compLowWarn ≤ compHighWarn ≤ compMax   compression band + amber edges (%)
+ *   fillWarn ≤ fillMax                               gland fill amber edge / maximum (%)
+ *   stretchMin ≤ stretchWarn ≤ stretchMax            stretch window + low amber edge (%)
+ * "standard" follows the gland type's limits; the other presets are fixed.
+ * User profiles live in localStorage (RULES_LS_KEY) as "custom:<name>".
+ */
+const RULE_FIELDS = [
+  { key:"compMin",      label:"Compression min (RED below)" },
+  { key:"compLowWarn",  label:"Compression low edge (AMBER below)" },
+  { key:"compHighWarn", label:"Compression high edge (AMBER above)" },
+  { key:"compMax",      label:"Compression max (RED above)" },
+  { key:"fillWarn",     label:"Gland fill edge (AMBER above)" },
+  { key:"fillMax",      label:"Gland fill max (RED above)" },
+  { key:"stretchMin",   label:"Stretch min (RED below)" },
+  { key:"stretchWarn",  label:"Stretch low edge (AMBER below)" },
+  { key:"stretchMax",   label:"Stretch max (RED above)" }
+];
+
+const RULE_PRESETS = {
+  standard:   { label: "Standard (by gland type)" },
+  staticFace: { label: "Static face seal",
+    rules: { compMin:20, compLowWarn:22, compHighWarn:28, compMax:30, fillWarn:80, fillMax:85, stretchMin:0, stretchWarn:1, stretchMax:5 } },
+  vacuum:     { label: "High vacuum",
+    rules: { compMin:25, compLowWarn:27, compHighWarn:33, compMax:35, fillWarn:80, fillMax:85, stretchMin:0, stretchWarn:1, stretchMax:3 } },
+  pneumatic:  { label: "Pneumatic",
+    rules: { compMin:10, compLowWarn:12, compHighWarn:18, compMax:20, fillWarn:80, fillMax:85, stretchMin:0, stretchWarn:1, stretchMax:3 } },
+  cryogenic:  { label: "Cryogenic",
+    rules: { compMin:20, compLowWarn:23, compHighWarn:32, compMax:35, fillWarn:80, fillMax:85, stretchMin:0, stretchWarn:1, stretchMax:5 } }
 };
+const RULE_PROFILE_DEFAULT = "standard";
+const RULES_LS_KEY = "gland_rule_profiles_v1";
+
+/** Full rule set for "standard": the gland type's band with the original amber widths */
+function typeRules(type){
+  const { compMin, compMax, fillMax } = (GLAND_TYPES[type] || GLAND_TYPES[GLAND_TYPE_DEFAULT]).limits;
+  return {
+    compMin, compLowWarn: compMin + 2, compHighWarn: compMax - 2, compMax,
+    fillWarn: fillMax - 5, fillMax,
+    stretchMin: 0, stretchWarn: 1, stretchMax: 5
+  };
+}
+
+/** Stored user profiles { name: rules } (empty on missing/corrupt storage) */
+function loadCustomRuleProfiles(){
+  try {
+    const data = JSON.parse(localStorage.getItem(RULES_LS_KEY) || "{}");
+    return (data && typeof data === "object") ? data : {};
+  } catch (e) {
+    console.warn("Failed to parse rule profiles:", e);
+    return {};
+  }
+}
+
+function saveCustomRuleProfiles(profiles){
+  localStorage.setItem(RULES_LS_KEY, JSON.stringify(profiles));
+}
+
+/** Resolve a profile key ("standard", a preset, or "custom:<name>") for a gland type */
+function resolveRules(profileKey, glandType){
+  if (profileKey && profileKey.startsWith("custom:")) {
+    const rules = loadCustomRuleProfiles()[profileKey.slice(7)];
+    if (rules) return { ...rules };
+  }
+  const preset = RULE_PRESETS[profileKey];
+  return (preset && preset.rules) ? { ...preset.rules } : typeRules(glandType);
+}
+
+/** Display name of a profile key */
+function ruleProfileLabel(profileKey){
+  if (profileKey && profileKey.startsWith("custom:")) return profileKey.slice(7);
+  return (RULE_PRESETS[profileKey] || RULE_PRESETS[RULE_PROFILE_DEFAULT]).label;
+}
+
+/** Ordering problems in a rule set (empty when valid) */
+function validateRules(r){
+  const issues = [];
+  if (RULE_FIELDS.some(f => !Number.isFinite(r[f.key]))) return ["Every limit needs a number."];
+  if (!(r.compMin <= r.compLowWarn && r.compLowWarn <= r.compHighWarn && r.compHighWarn <= r.compMax && r.compMin < r.compMax))
+    issues.push("Compression must satisfy min ≤ low edge ≤ high edge ≤ max (min < max).");
+  if (!(r.fillWarn <= r.fillMax && r.fillMax > 0))
+    issues.push("Gland fill edge must not exceed the maximum.");
+  if (!(r.stretchMin <= r.stretchWarn && r.stretchWarn <= r.stretchMax && r.stretchMin < r.stretchMax))
+    issues.push("Stretch must satisfy min ≤ low edge ≤ max (min < max).");
+  return issues;
+}
+
+/** Active profile key from the form (unknown/blank → standard) */
+function readRuleProfile(){
+  const v = document.getElementById("ruleProfile")?.value;
+  if (v && v.startsWith("custom:") && loadCustomRuleProfiles()[v.slice(7)]) return v;
+  return RULE_PRESETS[v] ? v : RULE_PROFILE_DEFAULT;
+}
+
+/** Resolved rules for the current form (profile + gland type) */
+function readRules(){
+  return resolveRules(readRuleProfile(), readGlandType());
+}
+
+/** One-line summary, e.g. "High vacuum: compression 25–35%, fill ≤ 85%, stretch 0–3%" */
+function describeRules(profileKey, r){
+  return `${ruleProfileLabel(profileKey)}: compression ${r.compMin}–${r.compMax}%, fill ≤ ${r.fillMax}%, stretch ${r.stretchMin}–${r.stretchMax}%`;
+}
 
 /** Material → Hardness options */
 const MATERIAL_TO_HARDNESS = {
@@ -71,6 +381,106 @@ const MATERIAL_TO_HARDNESS = {
   "VMQ": ["70"]
 };
 
+/**
+ * Custom material library (compounds stored in this browser). The select value of
+ * a compound is "lib:<name>"; its record mirrors a built-in group:
+ *   { family, alpha, alphaTable: [[°C, α], ...] | null, hardness: ["70", ...],
+ *     minC, maxC, excMaxC, tr10C, brittleC, notes }
+ * `family` is the built-in group used for media compatibility and aging data.
+ * Blank temperature limits are simply not checked.
+ */
+const MATLIB_LS_KEY = "gland_material_library_v1";
+const MATLIB_FORMAT = "gland-material-library";
+const MATERIAL_LIMIT_KEYS = ["brittleC","minC","tr10C","maxC","excMaxC"];  // ascending
+
+function loadMaterialLibrary(){
+  try {
+    const data = JSON.parse(localStorage.getItem(MATLIB_LS_KEY) || "{}");
+    return (data && typeof data === "object") ? data : {};
+  } catch (e) {
+    console.warn("Failed to parse material library:", e);
+    return {};
+  }
+}
+
+function saveMaterialLibrary(lib){
+  localStorage.setItem(MATLIB_LS_KEY, JSON.stringify(lib));
+}
+
+/**
+ * Resolved material for a select value (built-in group or "lib:<name>"):
+ * the MATERIAL_TO_CTE fields plus { label, family, hardness, alphaTable, notes }.
+ * null for an empty or unknown value.
+ */
+function materialInfo(value){
+  if (value && value.startsWith("lib:")) {
+    const c = loadMaterialLibrary()[value.slice(4)];
+    return c ? { ...c, label: value.slice(4), hardness: c.hardness || [] } : null;
+  }
+  const base = MATERIAL_TO_CTE[value];
+  return base
+    ? { ...base, label: value, family: value, hardness: MATERIAL_TO_HARDNESS[value] || [], alphaTable: null, notes: "" }
+    : null;
+}
+
+/** Resolved material currently selected in the form */
+function readMaterial(){
+  return materialInfo(document.getElementById("oringMaterialGroup")?.value || "");
+}
+
+/** Problems with a compound record (empty when valid) */
+function validateCompound(name, c){
+  const issues = [];
+  if (!name) issues.push("Enter a compound name.");
+  else if (MATERIAL_TO_CTE[name]) issues.push(`"${name}" is a built-in group; choose another name.`);
+  if (!MATERIAL_TO_CTE[c.family]) issues.push("Choose the family used for media and aging data.");
+  if (!(Number.isFinite(c.alpha) && c.alpha > 0)) issues.push("CTE must be a positive number (e.g. 2.1e-4).");
+
+  if (c.alphaTable) {
+    const rows = c.alphaTable;
+    if (rows.length < 2) issues.push("The CTE table needs at least two rows.");
+    if (rows.some(r => !Number.isFinite(r[0]) || !(Number.isFinite(r[1]) && r[1] > 0))) issues.push("Each CTE table row is a temperature (°C) and a positive α.");
+    else if (rows.some((r, i) => i && r[0] <= rows[i-1][0])) issues.push("CTE table temperatures must increase.");
+  }
+
+  if (c.hardness.some(h => !(Number(h) >= 30 && Number(h) <= 100))) issues.push("Hardness grades are Shore A values between 30 and 100.");
+
+  const given = MATERIAL_LIMIT_KEYS.map(k => c[k]).filter(Number.isFinite);
+  if (given.some((t, i) => i && t < given[i-1]))
+    issues.push("Temperature limits must satisfy brittleness ≤ service min ≤ TR-10 ≤ service max ≤ excursion max.");
+  return issues;
+}
+
+/**
+ * Compound from imported JSON (library or design file) with numbers coerced.
+ * `rowIssues` names CTE table rows that are not [°C, α] number pairs (those rows
+ * become NaN); validateCompound covers everything else.
+ */
+function compoundFromJson(raw){
+  const src = (raw && typeof raw === "object" && !Array.isArray(raw)) ? raw : {};
+  const rowIssues = [];
+  let alphaTable = null;
+  if (Array.isArray(src.alphaTable)) {
+    alphaTable = src.alphaTable.map((r, i) => {
+      const pair = Array.isArray(r) && r.length === 2 && r.every(v => typeof v === "number" || (typeof v === "string" && v.trim() !== ""));
+      if (pair && r.every(v => Number.isFinite(Number(v)))) return r.map(Number);
+      rowIssues.push(`CTE table row ${i + 1} (${JSON.stringify(r)}) is not a [°C, α] pair.`);
+      return [NaN, NaN];
+    });
+  } else if (src.alphaTable !== undefined && src.alphaTable !== null) {
+    rowIssues.push("The CTE table is not a list of [°C, α] rows.");
+  }
+
+  const c = {
+    ...src,
+    alpha: (typeof src.alpha === "number" || typeof src.alpha === "string") && String(src.alpha).trim() !== "" ? Number(src.alpha) : NaN,
+    alphaTable,
+    hardness: Array.isArray(src.hardness) ? src.hardness.map(String) : []
+  };
+  MATERIAL_LIMIT_KEYS.forEach(k => { c[k] = (c[k] === undefined || c[k] === null) ? NaN : Number(c[k]); });
+  return { c, rowIssues };
+}
+
 
 /* =====================================================================================
    BASIC UTILITIES — Validation, Conversion, Formatting
@@ -82,6 +492,22 @@ function debounce(fn, ms=250) {
   return (...args) => { clearTimeout(t); t = setTimeout(() => fn(...args), ms); };
 }
 
+/** Escape user text for innerHTML (names, imported labels) */
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" }[c]));
+}
+
+/** Add an Undo button after a delete message in box `boxId` */
+function appendUndoButton(boxId, onUndo){
+  const box = document.getElementById(boxId);
+  if (!box) return;
+  const btn = document.createElement("button");
+  btn.className = "action-btn ghost small";
+  btn.textContent = "Undo";
+  btn.addEventListener("click", onUndo);
+  box.appendChild(btn);
+}
+
 /** Validate numeric mandatory inputs */
 function isValidNumberField(inp) {
   if (!inp) return false;
@@ -90,9 +516,13 @@ function isValidNumberField(inp) {
   return Number.isFinite(Number(v));
 }
 
+/** CTE field IDs (unitless; scientific notation on blur) */
+const CTE_IDS = new Set(["alpha","housingAlpha"]);
+const isCteId = (id) => CTE_IDS.has(id);
+
 /** Resolve current display unit for the given input */
 function getInputUnit(inp) {
-  if (inp.id === "alpha") return "";
+  if (isCteId(inp.id) || isAsTypedId(inp.id)) return "";
   if (inp.classList.contains("temp-field")) return (tempUnit === "°F" ? "F" : "C");
   return unit; // “in” or “mm”
 }
@@ -107,6 +537,27 @@ function convert(value, from, to) {
   if (from === "in" && to === "mm") return num * IN_TO_MM;
   if (from === "mm" && to === "in") return num / IN_TO_MM;
 
+  // Area
+  if (from === "in2" && to === "mm2") return num * IN_TO_MM ** 2;
+  if (from === "mm2" && to === "in2") return num / IN_TO_MM ** 2;
+
+  // Force & force per length (N, N/mm canonical)
+  if (from === "lbf" && to === "N") return num * LBF_TO_N;
+  if (from === "N" && to === "lbf") return num / LBF_TO_N;
+  if (from === "lbf/in" && to === "N/mm") return num * LBF_TO_N / IN_TO_MM;
+  if (from === "N/mm" && to === "lbf/in") return num * IN_TO_MM / LBF_TO_N;
+
+  // Pressure (MPa canonical)
+  if (PRESSURE_TO_MPA[from] && PRESSURE_TO_MPA[to]) return num * PRESSURE_TO_MPA[from] / PRESSURE_TO_MPA[to];
+
+  // Time
+  if (from === "years" && to === "h") return num * HOURS_PER_YEAR;
+  if (from === "h" && to === "years") return num / HOURS_PER_YEAR;
+
+  // Volume
+  if (from === "in3" && to === "mm3") return num * IN_TO_MM ** 3;
+  if (from === "mm3" && to === "in3") return num / IN_TO_MM ** 3;
+
   // Temperature
   if (from === "C" && to === "F") return num * 9/5 + 32;
   if (from === "F" && to === "C") return (num - 32) * 5/9;
@@ -114,6 +565,63 @@ function convert(value, from, to) {
   return num;
 }
 
+/** Canonical (mm) length → display string in the active unit, e.g. "0.110 in" */
+function formatLength(mm, digits=3) {
+  const v = convert(mm, CANONICAL_LENGTH, unit);
+  return Number.isFinite(v) ? `${v.toFixed(digits)} ${unit}` : "–";
+}
+
+/** Canonical (mm³) volume → display string in the active unit, e.g. "0.0123 in³" */
+function formatVolume(mm3) {
+  const v = convert(mm3, "mm3", unit + "3");
+  if (!Number.isFinite(v)) return "–";
+  return (unit === "in") ? `${v.toFixed(4)} in³` : `${v.toFixed(2)} mm³`;
+}
+
+/** Canonical mm² area → display string in the active unit */
+function formatArea(mm2) {
+  const v = convert(mm2, "mm2", unit + "2");
+  if (!Number.isFinite(v)) return "–";
+  return (unit === "in") ? `${v.toFixed(5)} in²` : `${v.toFixed(3)} mm²`;
+}
+
+/** Canonical N force → display string (lbf when working in inches) */
+function formatForce(n) {
+  const imperial = (unit === "in");
+  const v = convert(n, "N", imperial ? "lbf" : "N");
+  if (!Number.isFinite(v)) return "–";
+  return imperial ? `${v.toFixed(1)} lbf` : `${v.toFixed(1)} N`;
+}
+
+/** Canonical N/mm load per unit length → display string (lbf/in when working in inches) */
+function formatLineLoad(nPerMm) {
+  const imperial = (unit === "in");
+  const v = convert(nPerMm, "N/mm", imperial ? "lbf/in" : "N/mm");
+  if (!Number.isFinite(v)) return "–";
+  return imperial ? `${v.toFixed(2)} lbf/in` : `${v.toFixed(3)} N/mm`;
+}
+
+/** Canonical MPa pressure → display string in the pressure field's unit, e.g. "50.0 bar" */
+function formatPressure(mpa) {
+  const u = readPressureUnit();
+  const v = convert(mpa, "MPa", u);
+  if (!Number.isFinite(v)) return "–";
+  return (u === "MPa") ? `${v.toFixed(2)} MPa` : `${v.toFixed(1)} ${u}`;
+}
+
+/** Duration in hours → "500 h" below ~3 months, otherwise "2.5 years" */
+function formatHours(h) {
+  if (!Number.isFinite(h)) return "–";
+  return (h < 2000) ? `${h.toFixed(0)} h` : `${convert(h, "h", "years").toFixed(1)} years`;
+}
+
+/** Signed percentage, e.g. "+12.00%" / "-3.00%"; digits null prints the value as given */
+function formatSignedPct(v, digits = 2) {
+  if (!Number.isFinite(v)) return "–";
+  const txt = digits === null ? String(Math.abs(v)) : Math.abs(v).toFixed(digits);
+  return `${v < 0 ? "-" : "+"}${txt}%`;
+}
+
 /** α scientific notation formatter */
 function toSci(v) {
   const n = Number(v);
@@ -125,16 +633,144 @@ function toSci(v) {
 const TEMP_IDS = new Set(["tempMin","tempNom","tempMax"]);
 const isTempId = (id) => TEMP_IDS.has(id);
 
+/** Fields kept exactly as typed (degrees, percentages): never unit-converted or reformatted */
+const AS_TYPED_IDS = new Set(["glandAngle","glandAngleTol","mediaSwell","pressure","designLife"]);
+const isAsTypedId = (id) => AS_TYPED_IDS.has(id);
+
+/** Length inputs: every numeric field that is not a temperature, CTE or as-typed value */
+const isLengthInput = (inp) =>
+  inp.classList.contains("field") && !isTempId(inp.id) && !isCteId(inp.id) && !isAsTypedId(inp.id);
+
 
 /* =====================================================================================
-   RIGHT PANEL — IMAGE-ONLY MODE
+   RIGHT PANEL — LIVE GLAND DIAGRAM
+   -------------------------------------------------------------------------------------
+   - To-scale SVG of the entered gland (ambient, nominal dimensions).
+   - Falls back to the placeholder image until the gland and CS are entered.
    ===================================================================================== */
 
-/**
- * Right-panel info updater (now a no-op).
- * The app still calls this in many places; we keep it safe and empty.
- */
-function updateGlandInfoPanel() { /* no-op: image-only mode */ }
+/** Live diagram: gland outline, mating face, free and compressed ring, key dimensions */
+function updateGlandInfoPanel() {
+  const box = document.getElementById("glandDiagram");
+  const img = document.getElementById("glandPlaceholder");
+  if (!box) return;
+
+  const p = readCalcParams();
+  const ready = ["gw","gd","angle","cs"].every(k => Number.isFinite(p[k]));
+  if (!ready) {
+    box.innerHTML = "";
+    box.style.display = "none";
+    if (img) img.style.display = "";
+    return;
+  }
+
+  const rTop = Number.isFinite(p.rTop) ? p.rTop : 0;
+  const rBottom = Number.isFinite(p.rBottom) ? p.rBottom : 0;
+  const gap = Number.isFinite(p.gap) ? p.gap : 0;
+  const prof = glandProfile(p, rTop, rBottom);
+
+  // Draw the installed section once the stretch is known
+  const meanDia = p.id + p.cs;
+  const cs = (Number.isFinite(p.centerline) && meanDia > 0)
+    ? stretchedCrossSection(p.cs, (p.centerline - meanDia) / meanDia * 100)
+    : p.cs;
+
+  if (img) img.style.display = "none";
+  box.style.display = "block";
+  box.innerHTML = glandDiagramSvg({ ...p, cs, rTop, rBottom, gap }, prof);
+}
+
+/** SVG markup for updateGlandInfoPanel (mm → px at a uniform scale) */
+function glandDiagramSvg(p, prof){
+  const RED = "#b91c1c";
+  const W = 340, PAD = 46;
+
+  if (!prof.right) {
+    return `<div class="diagram-issues oob">${prof.issues.join("<br>")}</div>`;
+  }
+
+  const { floorW, left, right, triangular } = prof;
+  const { cs, gd, rTop, rBottom, gap } = p;
+  const floorMid = (left.floor.corner[0] + right.floor.corner[0]) / 2;
+
+  // Compressed ring: squeezed to the type's height, area preserved (ellipse)
+  const compH = Math.min(cs, glandSqueezeHeight(p));
+  const compW = cs * cs / compH;
+  const compY = triangular ? compH/2 : gd - compH/2;
+
+  // Free ring rests on the floor (or in the V touching both walls)
+  const freeY = triangular ? gd - (cs/2) / Math.cos(p.angle * PI/180) : gd - cs/2;
+
+  // World extents (mm): wide enough for the walls, the ring and some housing
+  const reach = Math.max(p.gw/2, -left.floor.corner[0], right.floor.corner[0],
+                         Math.abs(floorMid) + compW/2, Math.abs(floorMid) + cs/2);
+  const halfX = reach + cs * 0.35;
+  const top = Math.min(-gap, freeY - cs/2) - cs * 0.25;
+  const bottom = gd + cs * 0.3;
+  const s = (W - 2*PAD) / (2 * halfX);
+  const H = Math.round((bottom - top) * s + 2*PAD);
+  const X = x => (PAD + (x + halfX) * s).toFixed(1);
+  const Y = y => (PAD + (y - top) * s).toFixed(1);
+  const pt = q => `${X(q[0])},${Y(q[1])}`;
+  const arc = (r, to, sweep) => r > 0 ? `A${(r*s).toFixed(1)},${(r*s).toFixed(1)} 0 0 ${sweep} ${pt(to)}` : `L${pt(to)}`;
+
+  // Housing outline (left face → left lip → wall → floor → right side → right face)
+  const outline = [
+    `M${pt([-halfX, 0])}`,
+    `L${pt(left.lip.face)}`,   arc(rTop, left.lip.wall, 1),
+    `L${pt(left.floor.wall)}`, arc(rBottom, left.floor.floor, 0),
+    `L${pt(right.floor.floor)}`, arc(rBottom, right.floor.wall, 0),
+    `L${pt(right.lip.wall)}`,  arc(rTop, right.lip.face, 1),
+    `L${pt([halfX, 0])}`
+  ].join(" ");
+  const housing = `${outline} L${pt([halfX, bottom])} L${pt([-halfX, bottom])} Z`;
+
+  // Interference: compressed ring wider than the floor or overfilling the section
+  const section = exactGlandSection(p);
+  const overfill = PI * cs * cs / 4 > section.area;
+  const tooWide = !triangular && compW > floorW;
+  const issues = validateGlandGeometry(p);
+  if (overfill) issues.push("Ring cross-section is larger than the gland area.");
+  if (tooWide) issues.push("Compressed ring is wider than the gland floor.");
+  const bad = issues.length > 0;
+  const stroke = bad ? RED : "#374151";
+
+  // Dimensions
+  const dimH = (x0, x1, y, txt) => `
+      <line x1="${X(x0)}" y1="${Y(y)}" x2="${X(x1)}" y2="${Y(y)}" stroke="#6b7280" marker-start="url(#dimArrow)" marker-end="url(#dimArrow)"/>
+      <text x="${X((x0 + x1)/2)}" y="${(Number(Y(y)) - 4).toFixed(1)}" font-size="10" text-anchor="middle" fill="#374151">${txt}</text>`;
+  const dimV = (x, y0, y1, txt) => `
+      <line x1="${X(x)}" y1="${Y(y0)}" x2="${X(x)}" y2="${Y(y1)}" stroke="#6b7280" marker-start="url(#dimArrow)" marker-end="url(#dimArrow)"/>
+      <text x="${(Number(X(x)) + 4).toFixed(1)}" y="${Y((y0 + y1)/2)}" font-size="10" fill="#374151">${txt}</text>`;
+
+  const gapFace = gap > 0
+    ? `<rect x="${X(-halfX)}" y="${(Number(Y(-gap)) - 10).toFixed(1)}" width="${(2*halfX*s).toFixed(1)}" height="10" fill="#e5e7eb" stroke="#9ca3af"/>`
+    : `<line x1="${X(-halfX)}" y1="${Y(0)}" x2="${X(halfX)}" y2="${Y(0)}" stroke="#9ca3af" stroke-dasharray="2 2"/>`;
+
+  const angleTxt = p.glandType === "rectangular" ? "" : `∠ ${p.angle}°  `;
+  const r2Txt = triangular ? "" : `  r₂ ${formatLength(rBottom)}`;
+
+  return `
+    <svg class="gland-svg" viewBox="0 0 ${W} ${H}" width="100%" role="img" aria-label="${GLAND_TYPES[p.glandType].label} gland cross-section (to scale)">
+      <defs>
+        <marker id="dimArrow" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+          <path d="M0,2 L10,5 L0,8 Z" fill="#6b7280"/>
+        </marker>
+      </defs>
+      ${gapFace}
+      <path d="${housing}" fill="#f3f4f6" stroke="${stroke}" stroke-width="1.6"/>
+      <circle cx="${X(floorMid)}" cy="${Y(freeY)}" r="${(cs/2*s).toFixed(1)}" fill="none" stroke="#2563eb" stroke-dasharray="4 3"/>
+      ${Number.isFinite(section.centroid[1]) ? `<path d="M${X(section.centroid[0]) - 4},${Y(section.centroid[1])} h8 M${X(section.centroid[0])},${Y(section.centroid[1]) - 4} v8" stroke="#6b7280"/>` : ""}
+      <ellipse cx="${X(floorMid)}" cy="${Y(compY)}" rx="${(compW/2*s).toFixed(1)}" ry="${(compH/2*s).toFixed(1)}"
+               fill="${bad ? "rgba(185,28,28,0.25)" : "rgba(37,99,235,0.2)"}" stroke="${bad ? RED : "#2563eb"}"/>
+      ${dimH(-p.gw/2, p.gw/2, top + cs*0.12, `w ${formatLength(p.gw)}`)}
+      ${triangular ? "" : dimH(left.floor.corner[0], right.floor.corner[0], bottom - cs*0.08, `floor ${formatLength(floorW)}`)}
+      ${dimV(halfX - cs*0.12, 0, gd, `d ${formatLength(gd)}`)}
+      <text x="${X(-halfX)}" y="${(PAD - 26)}" font-size="10" fill="#374151">${GLAND_TYPES[p.glandType].label}  ${angleTxt}r₁ ${formatLength(rTop)}${r2Txt}</text>
+      <text x="${X(-halfX)}" y="${(PAD - 12)}" font-size="10" fill="#2563eb">CS ${formatLength(cs)} installed (free dashed, compressed filled)</text>
+    </svg>
+    ${bad ? `<div class="diagram-issues oob">${issues.join("<br>")}</div>` : ""}`;
+}
 
 /**
  * Sets the placeholder image in the right panel.
@@ -167,15 +803,16 @@ function setGlandPlaceholder(url) {
    ===================================================================================== */
 
 const LS_KEY = "gland_tool_v1";
+const SESSION_VERSION = 2;   // v2: length originals canonical in mm
 
 /**
- * Persist inputs, their original values/units, and toggle states.
+ * Snapshot of inputs, their original values/units, and toggle states.
  * We keep “originals” so we can accurately re-render on unit/temperature switches.
  */
-function saveSession() {
+function collectSessionData() {
   const data = {};
 
-  document.querySelectorAll("input.field, input.temp-field, select.dropdown")
+  document.querySelectorAll("input.field, input.temp-field, input.sim-input, select.dropdown")
     .forEach(el => {
       data[el.id] = {
         v:  el.value,
@@ -186,8 +823,15 @@ function saveSession() {
 
   data.__unit = unit;
   data.__tempUnit = tempUnit;
+  data.__sizeRef = oringSizeRef;
+  data.__designId = currentDesignId;
+  data.__v = SESSION_VERSION;
+  return data;
+}
 
-  localStorage.setItem(LS_KEY, JSON.stringify(data));
+/** Persist the current snapshot (see collectSessionData) */
+function saveSession() {
+  localStorage.setItem(LS_KEY, JSON.stringify(collectSessionData()));
 }
 const saveSessionDebounced = debounce(saveSession, 250);
 
@@ -214,125 +858,876 @@ function normalizeTempOriginalsToC() {
 }
 
 /**
- * Load persisted state; restore toggles; restore inputs; normalize temps to °C;
- * then re-render the UI.
+ * Normalize length originals to canonical mm.
+ * v1 sessions stored each length in whatever unit was active when it was typed
+ * (or picked from AS568), so one session could hold inches and millimetres side
+ * by side. Originals with no unit are taken to be in the session's display unit.
  */
+function normalizeLengthOriginalsToMm(fallbackUnit) {
+  document.querySelectorAll("input.field").forEach(inp => {
+    if (!isLengthInput(inp)) return;
+    const ov = inp.dataset.originalValue;
+    if (ov === undefined || ov === "") return;
+
+    const ou = (inp.dataset.originalUnit === "in" || inp.dataset.originalUnit === "mm")
+      ? inp.dataset.originalUnit
+      : fallbackUnit;
+    const mm = convert(Number(ov), ou, CANONICAL_LENGTH);
+    if (Number.isFinite(mm)) {
+      inp.dataset.originalValue = String(mm);
+      inp.dataset.originalUnit  = CANONICAL_LENGTH;
+    } else {
+      inp.dataset.originalValue = "";
+      inp.dataset.originalUnit  = "";
+    }
+  });
+}
+
+/** Load the persisted snapshot (corrupt storage is logged and ignored) */
 function loadSession() {
   const raw = localStorage.getItem(LS_KEY);
   if (!raw) return;
 
   try {
-    const data = JSON.parse(raw);
-
-    // Restore toggles
-    if (data.__unit) unit = data.__unit;
-    if (data.__tempUnit) tempUnit = data.__tempUnit;
+    applySessionData(JSON.parse(raw));
+  } catch (e) {
+    console.warn("Failed to parse saved session:", e);
+  }
+}
 
-    document.querySelectorAll(".unit-toggle .toggle-btn")
-      .forEach(b => b.classList.toggle("active", b.dataset.val === unit));
+/**
+ * Restore a snapshot: toggles, then inputs; normalize temps to °C and lengths
+ * to mm (migrating v1 mixed-unit sessions); then re-render the UI.
+ * Shared by loadSession, design files and share links.
+ */
+function applySessionData(data) {
+  // Restore toggles
+  if (data.__unit) unit = data.__unit;
+  if (data.__tempUnit) tempUnit = data.__tempUnit;
+  oringSizeRef = data.__sizeRef || null;
+  renderOringSizeNote();
+  currentDesignId = data.__designId || null;
+
+  document.querySelectorAll(".unit-toggle .toggle-btn")
+    .forEach(b => b.classList.toggle("active", b.dataset.val === unit));
+
+  document.querySelectorAll(".temp-toggle .toggle-btn")
+    .forEach(b => {
+      const isF = b.dataset.val === "f";
+      b.classList.toggle("active", (isF ? "°F" : "°C") === tempUnit);
+    });
 
-    document.querySelectorAll(".temp-toggle .toggle-btn")
-      .forEach(b => {
-        const isF = b.dataset.val === "f";
-        b.classList.toggle("active", (isF ? "°F" : "°C") === tempUnit);
-      });
+  document.querySelectorAll(".temp-unit-final")
+    .forEach(x => x.textContent = tempUnit);
 
-    document.querySelectorAll(".temp-unit-final")
-      .forEach(x => x.textContent = tempUnit);
-
-    // Restore input values + stored “originals”
-    Object.keys(data).forEach(id => {
-      if (id.startsWith("__")) return;
-      const el = document.getElementById(id);
-      if (!el) return;
-      el.value = data[id].v ?? "";
-      el.dataset.originalValue = data[id].ov ?? "";
-      el.dataset.originalUnit  = data[id].ou ?? "";
-    });
+  // Restore input values + stored “originals”
+  Object.keys(data).forEach(id => {
+    if (id.startsWith("__")) return;
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.value = data[id].v ?? "";
+    el.dataset.originalValue = data[id].ov ?? "";
+    el.dataset.originalUnit  = data[id].ou ?? "";
+  });
 
-    // Canonicalize all temperature originals to °C for true reversible toggling.
-    normalizeTempOriginalsToC();
+  // Canonicalize all temperature originals to °C for true reversible toggling.
+  normalizeTempOriginalsToC();
 
-    applyMaterialMapping();
-    refreshDisplayValues();
-    updateUnitLabels();
-    checkMandatoryStatus();
-    updateGlandInfoPanel();  // safe no-op (image-only mode)
+  // Canonicalize lengths to mm (v1 sessions could mix in and mm originals).
+  normalizeLengthOriginalsToMm(data.__unit || "in");
 
-  } catch (e) {
-    console.warn("Failed to parse saved session:", e);
-  }
+  applyMaterialMapping();
+  applyGlandTypeMapping();
+  applyHousingMapping();
+  applyMediaMapping();
+  refreshDisplayValues();
+  updateUnitLabels();
+  checkMandatoryStatus();
+  updateGlandInfoPanel();  // redraw diagram
 }
 
 
 /* =====================================================================================
-   ADVISORY SYSTEM (inline non-blocking hints)
+   DESIGN FILES & SHARE LINKS
+   -------------------------------------------------------------------------------------
+   - A design file wraps the session snapshot with the library compound and custom
+     rule profile it uses, the picked size and the last results (for reference;
+     results are recalculated on open).
+   - Share links carry the same file (without results) in the URL hash.
+   - Both open through applySessionData, like loadSession.
    ===================================================================================== */
 
-const HINTS = {
-  glandWidth:     { min: -Infinity, warnMin: 0, msg: "Width is negative; verify sign." },
-  glandDepth:     { min: -Infinity, warnMin: 0, msg: "Depth is negative; verify sign." },
-  glandAngle:     { min: -180, max: 180, msg: "Angle should be within -180° to 180°." },
-  glandTopR:      { min: -Infinity, warnMin: 0, msg: "Radius is negative; verify." },
-  glandBottomR:   { min: -Infinity, warnMin: 0, msg: "Radius is negative; verify." },
-  gap:            { min: -Infinity, warnMin: 0, msg: "Gap is negative; verify." },
-  glandCenterline:{ min: -Infinity, warnMin: 0, msg: "Centerline is negative; verify." },
-  oringCS:        { min: -Infinity, warnMin: 0, msg: "Cross‑section is negative; verify." },
-  oringID:        { min: -Infinity, warnMin: 0, msg: "O‑ring ID is negative; verify." },
-  alpha:          { min: 0, msg: "CTE should normally be ≥ 0. Check units/value." },
-  tempMin:  {},
-  tempNom:  {},
-  tempMax:  {},
-};
-
-/** Show/hide per-field hint with error/warn styling */
-function showHint(id, state, text) {
-  const input = document.getElementById(id);
-  const hint  = document.getElementById(`hint_${id}`);
-  if (!input || !hint) return;
-
-  input.classList.remove("is-invalid", "is-warn");
-  hint.classList.remove("warn");
+const DESIGN_FORMAT = "gland-design";
+const DESIGN_VERSION = 1;
+const DESIGN_LINK_PARAM = "design";
+
+/** Complete design for export; `withResults` adds the last calculation */
+function buildDesignFile(withResults = true){
+  const session = collectSessionData();
+  delete session.__designId;   // library binding is local to this browser
+  const design = {
+    format: DESIGN_FORMAT,
+    version: DESIGN_VERSION,
+    app: APP_VERSION,
+    saved: new Date().toISOString(),
+    session
+  };
 
-  if (!state) { hint.style.display = "none"; return; }
+  const matKey = session.oringMaterialGroup?.v || "";
+  if (matKey.startsWith("lib:")) {
+    const compound = loadMaterialLibrary()[matKey.slice(4)];
+    if (compound) design.compound = { name: matKey.slice(4), ...compound };
+  }
+  const profileKey = readRuleProfile();
+  if (profileKey.startsWith("custom:")) {
+    design.ruleProfile = { name: profileKey.slice(7), rules: resolveRules(profileKey, readGlandType()) };
+  }
 
-  if (state === "invalid") {
-    input.classList.add("is-invalid");
-    hint.textContent = text || "Please enter a numeric value.";
-    hint.style.display = "block";
-  } else if (state === "warn") {
-    input.classList.add("is-warn");
-    hint.textContent = text || "Please verify.";
-    hint.classList.add("warn");
-    hint.style.display = "block";
+  if (withResults && hasCalculated && _lastRender) {
+    const { out, profile, limits } = _lastRender;
+    const findings = collectFindings(_lastRender);
+    design.results = {
+      ruleProfile: ruleProfileLabel(profile),
+      limits,
+      temperatures: out.temperatureResults.map(t => ({
+        tempC: t.tempC, stretchPct: t.stretchPct, installedCsMm: t.installedCs,
+        compressionPct: t.compressionPct, glandFillPct: t.glandFillPct
+      })),
+      oringVolumeMm3: out.oringVolume,
+      glandVolumeMm3: out.glandVolume,
+      red: findings.red,
+      amber: findings.amber
+    };
   }
+  return design;
 }
 
-/** Evaluate a field against advisory thresholds and render hint */
-function advisoryCheck(id) {
-  const cfg = HINTS[id]; if (!cfg) return;
-  const el  = document.getElementById(id); if (!el) return;
+/**
+ * Problems that stop a design from opening (empty when it can be applied).
+ * Version 0/missing and newer versions are refused with a reason.
+ */
+function validateDesignFile(d){
+  if (!d || typeof d !== "object" || Array.isArray(d)) return ["The file does not contain a design."];
+  if (d.format !== DESIGN_FORMAT) return ["Not a gland design file (format marker missing)."];
+  if (!Number.isInteger(d.version) || d.version < 1) return ["The design file has no valid version number."];
+  if (d.version > DESIGN_VERSION) {
+    return [`The design was saved by a newer version of the tool (file v${d.version}, this tool reads up to v${DESIGN_VERSION}${d.app ? `; saved with ${d.app}` : ""}).`];
+  }
 
-  const raw = el.value.trim();
-  if (raw === "") { showHint(id, null); return; }
+  const issues = [];
+  const s = d.session;
+  if (!s || typeof s !== "object" || Array.isArray(s)) return ["The design has no inputs."];
+  if (s.__v !== undefined && !(Number.isInteger(s.__v) && s.__v >= 1 && s.__v <= SESSION_VERSION)) {
+    issues.push(`Unsupported input format version ${s.__v}.`);
+  }
+  if (s.__unit !== undefined && s.__unit !== "in" && s.__unit !== "mm") issues.push(`Unknown length unit "${s.__unit}".`);
+  if (s.__tempUnit !== undefined && s.__tempUnit !== "°C" && s.__tempUnit !== "°F") issues.push(`Unknown temperature unit "${s.__tempUnit}".`);
+  if (s.__sizeRef !== undefined && s.__sizeRef !== null) {
+    const ref = s.__sizeRef;
+    const ok = typeof ref === "object" && !Array.isArray(ref) &&
+      ["series","standard","code"].every(k => typeof ref[k] === "string" && ref[k]) &&
+      (ref.partNo === undefined || typeof ref.partNo === "string");
+    if (!ok) issues.push("The picked standard size is malformed.");
+  }
 
-  const n = Number(raw);
-  if (!Number.isFinite(n)) { showHint(id,"invalid","Please enter a numeric value."); return; }
-  if (cfg.min !== undefined && n < cfg.min) { showHint(id,"invalid",cfg.msg); return; }
-  if (cfg.max !== undefined && n > cfg.max) { showHint(id,"invalid",cfg.msg); return; }
-  if (cfg.warnMin !== undefined && n < cfg.warnMin) { showHint(id,"warn",cfg.msg); return; }
+  Object.entries(s).forEach(([id, f]) => {
+    if (id.startsWith("__")) return;
+    const ok = f && typeof f === "object" && ["v","ov","ou"].every(k => f[k] === undefined || typeof f[k] === "string");
+    if (!ok) issues.push(`Input "${id}" is malformed.`);
+    else if (f.ov && document.getElementById(id)?.type === "number" && !Number.isFinite(Number(f.ov))) {
+      issues.push(`Input "${id}" has a non-numeric value "${f.ov}".`);
+    }
+  });
 
-  showHint(id, null);
+  if (d.compound) {
+    const { c, rowIssues } = compoundFromJson(d.compound);
+    const bad = rowIssues.length ? [rowIssues.join(" ")]
+      : validateCompound(String(d.compound.name || ""), c)
+        .filter(m => !/built-in group/.test(m));   // name clashes are renamed on import
+    if (bad.length) issues.push(`Material "${d.compound.name}": ${bad[0]}`);
+  }
+  if (d.ruleProfile) {
+    const bad = validateRules(d.ruleProfile.rules || {});
+    if (!d.ruleProfile.name || bad.length) issues.push(`Rule profile "${d.ruleProfile.name || "?"}": ${bad[0] || "no name"}`);
+  }
+  return issues;
 }
 
+/**
+ * Store a design's compound / rule profile locally under a free name and point the
+ * session at it. Same-named entries with identical content are reused.
+ */
+function importDesignDependencies(d){
+  const s = d.session;
+  const freeName = (name, taken, same) => {
+    if (!taken[name] || same(taken[name])) return name;
+    let i = 2;
+    while (taken[`${name} (${i})`] && !same(taken[`${name} (${i})`])) i++;
+    return `${name} (${i})`;
+  };
 
-/* =====================================================================================
-   INPUT TRACKING (store originals exactly once)
-   -------------------------------------------------------------------------------------
-   - Temp fields: store originals CANONICALLY in °C (for reversible C↔F).
-   - Other numerics: store original value + the display unit (“in|mm”).
-   - Alpha: store raw text (format to sci on blur only).
-   ===================================================================================== */
+  if (d.compound) {
+    const { name, ...raw } = d.compound;
+    const { c } = compoundFromJson(raw);
+    const lib = loadMaterialLibrary();
+    const clean = cleanCompound(c);
+    const base = MATERIAL_TO_CTE[name] ? `${name} (compound)` : name;
+    const key = freeName(base, lib, x => JSON.stringify(x) === JSON.stringify(clean));
+    lib[key] = clean;
+    saveMaterialLibrary(lib);
+    s.oringMaterialGroup = { ...(s.oringMaterialGroup || {}), v: `lib:${key}`, ov: `lib:${key}` };
+  }
+
+  if (d.ruleProfile) {
+    const profiles = loadCustomRuleProfiles();
+    const rules = {};
+    RULE_FIELDS.forEach(f => { rules[f.key] = Number(d.ruleProfile.rules[f.key]); });
+    const key = freeName(d.ruleProfile.name, profiles, x => RULE_FIELDS.every(f => x[f.key] === rules[f.key]));
+    profiles[key] = rules;
+    saveCustomRuleProfiles(profiles);
+    s.ruleProfile = { ...(s.ruleProfile || {}), v: `custom:${key}`, ov: `custom:${key}` };
+  }
+}
+
+/**
+ * Open a parsed design: validate, bring in its compound/profile, replace the form
+ * and recalculate. Returns a status line; throws an Error with the reasons when
+ * the design is refused.
+ */
+function openDesign(d){
+  const issues = validateDesignFile(d);
+  if (issues.length) throw new Error(issues.join(" "));
+
+  const design = JSON.parse(JSON.stringify(d));   // the session is rewritten below
+  importDesignDependencies(design);
+  buildMaterialOptions();
+  buildRuleProfileOptions();
+
+  resetForm();
+  applySessionData(design.session);
+  saveSession();
+
+  const calcBtn = document.getElementById("calculateBtn");
+  if (!calcBtn || calcBtn.disabled) return "Design opened; some required inputs are missing.";
+  runCalculation();
+
+  // Saved results are for reference; say so when this tool now disagrees
+  const saved = Array.isArray(design.results?.temperatures) ? design.results.temperatures : [];
+  const now = hasCalculated ? _lastRender.out.temperatureResults : [];
+  const differs = saved.some(t => {
+    const e = now.find(x => Math.abs(x.tempC - t.tempC) < 1e-6);
+    return !e || Math.abs(e.compressionPct - t.compressionPct) > 0.01 || Math.abs(e.glandFillPct - t.glandFillPct) > 0.01;
+  });
+  return differs
+    ? `Design opened. Results differ from the saved file (saved with ${design.app || "an earlier version"}); the recalculated values are shown.`
+    : "Design opened.";
+}
+
+/** Status line under the design buttons (errors in red) */
+function setDesignFileNote(msg, isError = false){
+  const note = document.getElementById("designFileNote");
+  if (!note) return;
+  note.textContent = msg || "";
+  note.classList.toggle("oob", !!isError);
+  note.style.display = msg ? "block" : "none";
+}
+
+/** Download the design as JSON */
+function saveDesignFile(){
+  const design = buildDesignFile(true);
+  const part = (document.getElementById("reportPartNo")?.value || "").trim();
+  const url = URL.createObjectURL(new Blob([JSON.stringify(design, null, 2)], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${(part || "gland-design").replace(/[^\w.-]+/g, "_")}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  setDesignFileNote(`Design saved${design.results ? " with results" : " (inputs only; calculate to include results)"}.`);
+}
+
+/** File chosen in "Open Design…" */
+function importDesignFile(text){
+  let d;
+  try { d = JSON.parse(text); }
+  catch (e) { setDesignFileNote("Not a JSON file.", true); return; }
+
+  try { setDesignFileNote(openDesign(d)); }
+  catch (e) { setDesignFileNote(`Could not open the design: ${e.message}`, true); }
+}
+
+/* ---------- Share links: "#design=z.<base64url deflate>" (or "j." when uncompressed) ---------- */
+
+function bytesToBase64Url(bytes){
+  let bin = "";
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(str){
+  const bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, ch => ch.charCodeAt(0));
+}
+
+/** Run bytes through a (De)CompressionStream */
+async function pipeBytes(bytes, stream){
+  const piped = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(piped).arrayBuffer());
+}
+
+async function encodeDesignLink(design){
+  const bytes = new TextEncoder().encode(JSON.stringify(design));
+  if (typeof CompressionStream === "function") {
+    return "z." + bytesToBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")));
+  }
+  return "j." + bytesToBase64Url(bytes);
+}
+
+async function decodeDesignLink(token){
+  const [kind, body] = [token.slice(0, 2), token.slice(2)];
+  let bytes = base64UrlToBytes(body);
+  if (kind === "z.") {
+    if (typeof DecompressionStream !== "function") throw new Error("this browser cannot read compressed links");
+    bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+  } else if (kind !== "j.") {
+    throw new Error("unknown link encoding");
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/** Put a link to the current design on the clipboard (shown in the note if that fails) */
+async function copyDesignLink(){
+  const token = await encodeDesignLink(buildDesignFile(false));
+  const url = `${location.origin}${location.pathname}#${DESIGN_LINK_PARAM}=${token}`;
+  try {
+    await navigator.clipboard.writeText(url);
+    setDesignFileNote(`Link copied to the clipboard (${url.length} characters).`);
+  } catch (e) {
+    setDesignFileNote(`Copy this link: ${url}`);
+  }
+}
+
+/** On start-up: open a design carried in the URL hash or query, then drop it from the address */
+async function openDesignFromUrl(){
+  const hash = new URLSearchParams(location.hash.slice(1)).get(DESIGN_LINK_PARAM);
+  const query = new URLSearchParams(location.search).get(DESIGN_LINK_PARAM);
+  const token = hash || query;
+  if (!token) return;
+
+  try {
+    let design;
+    try { design = await decodeDesignLink(token); }
+    catch (e) { throw new Error(`The link is damaged or incomplete (${e.message}).`); }
+    setDesignFileNote(openDesign(design).replace(/^Design opened/, "Design opened from the link"));
+  } catch (e) {
+    setDesignFileNote(`Could not open the design link: ${e.message}`, true);
+  }
+  history.replaceState(null, "", location.pathname);
+}
+
+
+/* =====================================================================================
+   DESIGN LIBRARY (named designs with project, tags and revision history)
+   -------------------------------------------------------------------------------------
+   - Designs live in localStorage (DESIGN_LIB_LS_KEY) keyed by id:
+       { name, project, tags[], created, updated, revisions: [{ saved, note, design }] }
+     where `design` is a design file without results (see buildDesignFile), so a
+     revision carries the compound and rule profile it was saved with.
+   - LS_KEY stays the auto-saved working form; `__designId` links it to its design.
+   - The old single session is copied into the library on first load.
+   ===================================================================================== */
+
+const DESIGN_LIB_LS_KEY = "gland_design_library_v1";
+
+let _designLibSelected = null;  // id shown in the form (null → new design)
+let _designLibHistory = null;   // id whose revisions are listed
+let _designLibDeleted = null;   // { id, entry, wasCurrent } of the last delete, for Undo
+
+function loadDesignLibrary(){
+  try {
+    const data = JSON.parse(localStorage.getItem(DESIGN_LIB_LS_KEY) || "{}");
+    return (data && typeof data === "object" && !Array.isArray(data)) ? data : {};
+  } catch (e) {
+    console.warn("Failed to parse design library:", e);
+    return {};
+  }
+}
+
+function saveDesignLibrary(lib){
+  localStorage.setItem(DESIGN_LIB_LS_KEY, JSON.stringify(lib));
+}
+
+function newDesignId(){
+  return `d${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/** "2024-05-01 14:03" in local time */
+function formatStamp(iso){
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "–";
+  const p = n => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())} ${p(d.getHours())}:${p(d.getMinutes())}`;
+}
+
+/**
+ * One-time migration: before the library existed LS_KEY held the only saved design.
+ * Copy it in as the first revision of "Migrated session" and link the form to it.
+ */
+function migrateSessionToLibrary(){
+  if (localStorage.getItem(DESIGN_LIB_LS_KEY) !== null) return;
+
+  const lib = {};
+  let session = null;
+  try { session = JSON.parse(localStorage.getItem(LS_KEY) || "null"); }
+  catch (e) { console.warn("Saved session not migrated:", e); }
+
+  const hasInputs = session && typeof session === "object" &&
+    Object.entries(session).some(([id, f]) => !id.startsWith("__") && f && f.ov);
+  if (hasInputs) {
+    const now = new Date().toISOString();
+    const id = newDesignId();
+    const { __designId, ...clean } = session;
+    lib[id] = {
+      name: "Migrated session", project: "", tags: ["migrated"], created: now, updated: now,
+      revisions: [{
+        saved: now,
+        note: "Copied from the auto-saved session",
+        design: { format: DESIGN_FORMAT, version: DESIGN_VERSION, app: APP_VERSION, saved: now, session: clean }
+      }]
+    };
+    localStorage.setItem(LS_KEY, JSON.stringify({ ...clean, __designId: id }));
+  }
+  saveDesignLibrary(lib);
+}
+
+/* ---------- Revision diffs ---------- */
+
+/** Readable name of a form input (row label, plus min/nom/max, tolerance or unit) */
+function inputLabel(id){
+  const el = document.getElementById(id);
+  if (!el) return id;
+  const cell = el.closest(".input-cell");
+  const label = cell?.previousElementSibling;
+  if (label?.classList.contains("label")) {
+    const title = formLabelText(label);
+    if (cell.classList.contains("temp-block")) return `${title} (${{ tempMin: "min", tempNom: "nominal", tempMax: "max" }[id] || id})`;
+    if (el.classList.contains("tol-field")) return `${title} tolerance`;
+    if (el.classList.contains("unit-select")) return `${title} unit`;
+    return title;
+  }
+  const wrap = el.closest("label");
+  return wrap ? wrap.firstChild.textContent.trim() : id;
+}
+
+/** Comparable form of a session entry (canonical original when there is one) */
+function sessionValueKey(f){
+  if (!f) return "";
+  if (f.ov !== undefined && f.ov !== "" && f.ou) return `${Number(Number(f.ov).toPrecision(9))} ${f.ou}`;
+  return f.v ?? "";
+}
+
+/** Session entry for display (option text for selects, canonical unit for lengths/temps) */
+function describeSessionValue(id, f){
+  if (!f || (f.v ?? "") === "") return "–";
+  const el = document.getElementById(id);
+  if (el?.tagName === "SELECT") return [...el.options].find(o => o.value === f.v)?.textContent || f.v;
+  if (f.ov !== undefined && f.ov !== "" && f.ou) {
+    const n = Number(f.ov);
+    return `${Number.isFinite(n) ? Number(n.toPrecision(6)) : f.ov} ${f.ou === "C" ? "°C" : f.ou}`;
+  }
+  return f.v;
+}
+
+/** Inputs that differ between two design files: [{ label, from, to }] */
+function diffDesigns(a, b){
+  const sa = a?.session || {}, sb = b?.session || {};
+  const changes = [];
+  new Set([...Object.keys(sa), ...Object.keys(sb)]).forEach(id => {
+    if (id.startsWith("__") || sessionValueKey(sa[id]) === sessionValueKey(sb[id])) return;
+    changes.push({ label: inputLabel(id), from: describeSessionValue(id, sa[id]), to: describeSessionValue(id, sb[id]) });
+  });
+
+  // Same selection, different stored data (compound or profile edited in between)
+  const strip = x => x ? JSON.stringify({ ...x, name: undefined }) : "";
+  if (a?.compound && b?.compound && strip(a.compound) !== strip(b.compound)) {
+    changes.push({ label: "Compound data", from: a.compound.name, to: `${b.compound.name} (edited)` });
+  }
+  if (a?.ruleProfile && b?.ruleProfile && strip(a.ruleProfile) !== strip(b.ruleProfile)) {
+    changes.push({ label: "Rule profile limits", from: a.ruleProfile.name, to: `${b.ruleProfile.name} (edited)` });
+  }
+  return changes;
+}
+
+function renderDiffList(changes){
+  if (!changes.length) return `<span class="muted">No input changes</span>`;
+  return `<ul class="design-diff">${changes.map(c =>
+    `<li><b>${escapeHtml(c.label)}</b>: ${escapeHtml(c.from)} → ${escapeHtml(c.to)}</li>`).join("")}</ul>`;
+}
+
+/* ---------- Modal ---------- */
+
+function openDesignLibrary(){
+  const modal = document.getElementById("designLibModal");
+  if (!modal) return;
+  const lib = loadDesignLibrary();
+  setDesignLibMessage("");
+  fillDesignLibForm(lib[currentDesignId] ? currentDesignId : null);
+  _designLibHistory = lib[currentDesignId] ? currentDesignId : null;
+  renderDesignLibrary();
+  modal.style.display = "block";
+  document.getElementById("designLibSearch")?.focus();
+}
+
+function closeDesignLibrary(){
+  const modal = document.getElementById("designLibModal");
+  if (modal) modal.style.display = "none";
+}
+
+function setDesignLibMessage(msg, isError = false){
+  const box = document.getElementById("designLibMsg");
+  if (!box) return;
+  box.textContent = msg || "";
+  box.classList.toggle("oob", !!isError);
+}
+
+/** Show a design's details in the form (null → blank form for a new design) */
+function fillDesignLibForm(id){
+  const d = id ? loadDesignLibrary()[id] : null;
+  _designLibSelected = d ? id : null;
+  const set = (fid, v) => { const el = document.getElementById(fid); if (el) el.value = v; };
+  set("designLibName", d?.name || "");
+  set("designLibProject", d?.project || "");
+  set("designLibTags", (d?.tags || []).join(", "));
+  set("designLibNote", "");
+
+  const saveBtn = document.getElementById("designLibSaveBtn");
+  if (saveBtn) saveBtn.disabled = !d;
+}
+
+function readDesignLibForm(){
+  const get = id => (document.getElementById(id)?.value || "").trim();
+  return {
+    name: get("designLibName"),
+    project: get("designLibProject"),
+    tags: [...new Set(get("designLibTags").split(",").map(t => t.trim()).filter(Boolean))],
+    note: get("designLibNote")
+  };
+}
+
+/** Every search word must appear in the name, project, tags or a revision note */
+function designMatches(d, query){
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return true;
+  const hay = [d.name, d.project, ...(d.tags || []), ...(d.revisions || []).map(r => r.note || "")]
+    .join(" ").toLowerCase();
+  return words.every(w => hay.includes(w));
+}
+
+/** Designs grouped by project (A–Z, "No project" last), newest first within a group */
+function renderDesignLibrary(){
+  const body = document.getElementById("designLibList");
+  if (!body) return;
+  const lib = loadDesignLibrary();
+  const query = document.getElementById("designLibSearch")?.value || "";
+
+  const projects = document.getElementById("designLibProjects");
+  if (projects) {
+    projects.innerHTML = [...new Set(Object.values(lib).map(d => d.project).filter(Boolean))].sort()
+      .map(p => `<option value="${escapeHtml(p)}">`).join("");
+  }
+
+  const shown = Object.entries(lib).filter(([, d]) => designMatches(d, query));
+  if (!shown.length) {
+    body.innerHTML = `<p class="modal-note">${Object.keys(lib).length ? "No designs match the search." : "No saved designs yet. Enter a name above and save the current inputs."}</p>`;
+    renderDesignHistory();
+    return;
+  }
+
+  const groups = {};
+  shown.forEach(([id, d]) => { (groups[d.project || ""] ||= []).push([id, d]); });
+  const order = Object.keys(groups).sort((a, b) => (!a) - (!b) || a.localeCompare(b));
+
+  body.innerHTML = `
+    <table class="modal-table design-lib-table">
+      <thead><tr><th>Design</th><th>Tags</th><th>Rev.</th><th>Updated</th><th></th></tr></thead>
+      <tbody>
+        ${order.map(p => `
+        <tr class="group-row"><td colspan="5">${escapeHtml(p || "No project")} <span class="muted">(${groups[p].length})</span></td></tr>
+        ${groups[p].sort((a, b) => String(b[1].updated).localeCompare(String(a[1].updated))).map(([id, d]) => `
+        <tr data-id="${escapeHtml(id)}" class="${id === _designLibSelected ? "selected" : ""}">
+          <td>${escapeHtml(d.name)}${id === currentDesignId ? ` <span class="muted">(in form)</span>` : ""}</td>
+          <td>${(d.tags || []).map(t => `<span class="design-tag">${escapeHtml(t)}</span>`).join(" ")}</td>
+          <td>${d.revisions.length}</td>
+          <td>${formatStamp(d.updated)}</td>
+          <td class="design-lib-actions">
+            <button class="action-btn ghost small" data-action="open">Open</button>
+            <button class="action-btn ghost small" data-action="history">History</button>
+            <button class="action-btn ghost small" data-action="duplicate">Duplicate</button>
+            <button class="action-btn ghost small" data-action="delete">Delete</button>
+          </td>
+        </tr>`).join("")}`).join("")}
+      </tbody>
+    </table>`;
+  renderDesignHistory();
+}
+
+/**
+ * Revisions of the design in `_designLibHistory`, newest first, each with the inputs
+ * changed since the one before. When that design is in the form, unsaved edits
+ * are listed on top.
+ */
+function renderDesignHistory(){
+  const box = document.getElementById("designLibHistory");
+  if (!box) return;
+  const d = _designLibHistory ? loadDesignLibrary()[_designLibHistory] : null;
+  if (!d) { box.innerHTML = ""; return; }
+
+  const revs = d.revisions;
+  const rows = revs.map((r, i) => `
+    <tr data-id="${escapeHtml(_designLibHistory)}" data-rev="${i}">
+      <td>${i + 1}</td>
+      <td>${formatStamp(r.saved)}</td>
+      <td>${escapeHtml(r.note || "")}</td>
+      <td>${i ? renderDiffList(diffDesigns(revs[i - 1].design, r.design)) : `<span class="muted">First revision</span>`}</td>
+      <td><button class="action-btn ghost small" data-action="open-rev">Open</button></td>
+    </tr>`).reverse();
+
+  if (_designLibHistory === currentDesignId) {
+    rows.unshift(`
+    <tr class="design-unsaved">
+      <td>–</td><td>now</td><td>Unsaved inputs in the form</td>
+      <td>${renderDiffList(diffDesigns(revs[revs.length - 1].design, buildDesignFile(false)))}</td><td></td>
+    </tr>`);
+  }
+
+  box.innerHTML = `
+    <div class="design-history-title">History — ${escapeHtml(d.name)}</div>
+    <table class="modal-table design-history-table">
+      <thead><tr><th>Rev.</th><th>Saved</th><th>Note</th><th>Changed inputs</th><th></th></tr></thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>`;
+}
+
+/* ---------- Actions ---------- */
+
+/** Problems with the name/project in the form (names are unique within a project) */
+function validateDesignDetails(lib, form, exceptId){
+  if (!form.name) return "Enter a design name.";
+  const clash = Object.entries(lib).find(([id, d]) =>
+    id !== exceptId && d.name === form.name && (d.project || "") === form.project);
+  return clash ? `A design named "${form.name}" already exists in ${form.project ? `project "${form.project}"` : "no project"}.` : "";
+}
+
+/** Write the library, reporting a full browser storage instead of throwing */
+function storeDesignLibrary(lib){
+  try {
+    saveDesignLibrary(lib);
+    return true;
+  } catch (e) {
+    setDesignLibMessage("Browser storage is full; delete old designs or revisions and try again.", true);
+    return false;
+  }
+}
+
+/**
+ * Save the current inputs. `asNew` creates a design from the form details;
+ * otherwise a revision is added to the selected design (skipped when no input
+ * changed) and its details are updated from the form.
+ */
+function saveDesignToLibrary(asNew){
+  const lib = loadDesignLibrary();
+  const form = readDesignLibForm();
+  const id = asNew ? newDesignId() : _designLibSelected;
+  if (!asNew && !lib[id]) { setDesignLibMessage("Select a design to add a revision to.", true); return; }
+
+  const problem = validateDesignDetails(lib, form, id);
+  if (problem) { setDesignLibMessage(problem, true); return; }
+
+  const now = new Date().toISOString();
+  const design = buildDesignFile(false);
+  const d = lib[id] || { created: now, revisions: [] };
+  const last = d.revisions[d.revisions.length - 1];
+  const unchanged = last && !diffDesigns(last.design, design).length;
+
+  Object.assign(d, { name: form.name, project: form.project, tags: form.tags, updated: now });
+  if (!unchanged) d.revisions.push({ saved: now, note: form.note, design });
+  lib[id] = d;
+  if (!storeDesignLibrary(lib)) return;
+
+  currentDesignId = id;
+  saveSession();
+  _designLibHistory = id;
+  fillDesignLibForm(id);
+  renderDesignLibrary();
+  setDesignLibMessage(unchanged
+    ? `Details updated; no inputs changed since revision ${d.revisions.length}.`
+    : `Saved "${d.name}" revision ${d.revisions.length}.`);
+  setDesignFileNote(`Library design "${d.name}", revision ${d.revisions.length}.`);
+}
+
+/** Copy a design (with its history) under a free "… copy" name */
+function duplicateLibraryDesign(id){
+  const lib = loadDesignLibrary();
+  const src = lib[id];
+  if (!src) return;
+  let name = `${src.name} copy`;
+  for (let i = 2; validateDesignDetails(lib, { name, project: src.project || "" }); i++) name = `${src.name} copy ${i}`;
+
+  const now = new Date().toISOString();
+  const copyId = newDesignId();
+  lib[copyId] = { ...JSON.parse(JSON.stringify(src)), name, created: now, updated: now };
+  if (!storeDesignLibrary(lib)) return;
+  fillDesignLibForm(copyId);
+  renderDesignLibrary();
+  setDesignLibMessage(`Duplicated as "${name}"; edit the name above and save to rename it.`);
+}
+
+/** Delete a design with its revision history; the message offers Undo until the next delete */
+function deleteLibraryDesign(id){
+  const lib = loadDesignLibrary();
+  if (!lib[id]) return;
+  const name = lib[id].name;
+  _designLibDeleted = { id, entry: lib[id], wasCurrent: currentDesignId === id };
+  delete lib[id];
+  saveDesignLibrary(lib);
+
+  if (currentDesignId === id) { currentDesignId = null; saveSession(); }
+  if (_designLibSelected === id) fillDesignLibForm(null);
+  if (_designLibHistory === id) _designLibHistory = null;
+  renderDesignLibrary();
+  setDesignLibMessage(`Deleted "${name}" and its ${_designLibDeleted.entry.revisions.length} revision(s). `);
+
+  appendUndoButton("designLibMsg", undoDeleteLibraryDesign);
+}
+
+/** Put the last deleted design back (and re-link it if it was the working design) */
+function undoDeleteLibraryDesign(){
+  const del = _designLibDeleted;
+  _designLibDeleted = null;
+  if (!del) return;
+  const lib = loadDesignLibrary();
+  lib[del.id] = del.entry;
+  if (!storeDesignLibrary(lib)) return;
+
+  if (del.wasCurrent && !currentDesignId) { currentDesignId = del.id; saveSession(); }
+  fillDesignLibForm(del.id);
+  _designLibHistory = del.id;
+  renderDesignLibrary();
+  setDesignLibMessage(`Restored "${del.entry.name}".`);
+}
+
+/** Load a revision (default: latest) into the form through openDesign */
+function openLibraryDesign(id, rev){
+  const d = loadDesignLibrary()[id];
+  if (!d) return;
+  const i = Number.isInteger(rev) ? rev : d.revisions.length - 1;
+  const r = d.revisions[i];
+  if (!r) return;
+
+  let status;
+  try { status = openDesign(r.design); }
+  catch (e) { setDesignLibMessage(`Could not open revision ${i + 1}: ${e.message}`, true); return; }
+
+  currentDesignId = id;
+  saveSession();
+  closeDesignLibrary();
+  setDesignFileNote(status.replace(/^Design opened/,
+    `Opened library design "${d.name}", revision ${i + 1} of ${d.revisions.length}`));
+}
+
+/** Clicks in the list and history tables (row → select, buttons → action) */
+function onDesignLibClick(e){
+  const row = e.target.closest("tr[data-id]");
+  if (!row) return;
+  const id = row.dataset.id;
+  const action = e.target.closest("button[data-action]")?.dataset.action;
+
+  if (action === "open") openLibraryDesign(id);
+  else if (action === "open-rev") openLibraryDesign(id, Number(row.dataset.rev));
+  else if (action === "duplicate") duplicateLibraryDesign(id);
+  else if (action === "delete") deleteLibraryDesign(id);
+  else if (action === "history") { _designLibHistory = id; renderDesignHistory(); }
+  else if (!row.dataset.rev) {
+    setDesignLibMessage("");
+    fillDesignLibForm(id);
+    _designLibHistory = id;
+    renderDesignLibrary();
+  }
+}
+
+
+/* =====================================================================================
+   ADVISORY SYSTEM (inline non-blocking hints)
+   ===================================================================================== */
+
+const HINTS = {
+  glandWidth:     { min: -Infinity, warnMin: 0, msg: "Width is negative; verify sign." },
+  glandDepth:     { min: -Infinity, warnMin: 0, msg: "Depth is negative; verify sign." },
+  glandAngle:     { min: -180, max: 180, msg: "Angle should be within -180° to 180°." },
+  glandTopR:      { min: -Infinity, warnMin: 0, msg: "Radius is negative; verify." },
+  glandBottomR:   { min: -Infinity, warnMin: 0, msg: "Radius is negative; verify." },
+  gap:            { min: -Infinity, warnMin: 0, msg: "Gap is negative; verify." },
+  glandCenterline:{ min: -Infinity, warnMin: 0, msg: "Centerline is negative; verify." },
+  oringCS:        { min: -Infinity, warnMin: 0, msg: "Cross‑section is negative; verify." },
+  oringID:        { min: -Infinity, warnMin: 0, msg: "O‑ring ID is negative; verify." },
+  alpha:          { min: 0, msg: "CTE should normally be ≥ 0. Check units/value." },
+  mediaSwell:     { above: -100, msg: "Volume swell must be greater than -100% (the ring cannot lose all its volume)." },
+  tempMin:  {},
+  tempNom:  {},
+  tempMax:  {},
+};
+
+/** Show/hide per-field hint with error/warn styling */
+function showHint(id, state, text) {
+  const input = document.getElementById(id);
+  const hint  = document.getElementById(`hint_${id}`);
+  if (!input || !hint) return;
+
+  input.classList.remove("is-invalid", "is-warn");
+  hint.classList.remove("warn");
+
+  if (!state) { hint.style.display = "none"; return; }
+
+  if (state === "invalid") {
+    input.classList.add("is-invalid");
+    hint.textContent = text || "Please enter a numeric value.";
+    hint.style.display = "block";
+  } else if (state === "warn") {
+    input.classList.add("is-warn");
+    hint.textContent = text || "Please verify.";
+    hint.classList.add("warn");
+    hint.style.display = "block";
+  }
+}
+
+/** Evaluate a field against advisory thresholds and render hint */
+function advisoryCheck(id) {
+  const cfg = HINTS[id]; if (!cfg) return;
+  const el  = document.getElementById(id); if (!el) return;
+
+  const raw = el.value.trim();
+  if (raw === "") { showHint(id, null); return; }
+
+  const n = Number(raw);
+  if (!Number.isFinite(n)) { showHint(id,"invalid","Please enter a numeric value."); return; }
+  if (cfg.min !== undefined && n < cfg.min) { showHint(id,"invalid",cfg.msg); return; }
+  if (cfg.max !== undefined && n > cfg.max) { showHint(id,"invalid",cfg.msg); return; }
+  if (cfg.above !== undefined && n <= cfg.above) { showHint(id,"invalid",cfg.msg); return; }
+  if (cfg.warnMin !== undefined && n < cfg.warnMin) { showHint(id,"warn",cfg.msg); return; }
+
+  showHint(id, null);
+}
+
+
+/* =====================================================================================
+   INPUT TRACKING (store originals exactly once)
+   -------------------------------------------------------------------------------------
+   - Temp fields: store originals CANONICALLY in °C (for reversible C↔F).
+   - Length fields: store originals CANONICALLY in mm, whatever the display unit.
+   - Angles/percentages: store as typed.
+   - Alpha: store raw text (format to sci on blur only).
+   ===================================================================================== */
 
 function attachInputTracking() {
   const numberInputs = document.querySelectorAll("input.field, input.temp-field");
@@ -340,7 +1735,14 @@ function attachInputTracking() {
   numberInputs.forEach(inp => {
     inp.addEventListener("input", () => {
 
-      if (mandatoryFields.includes(inp.id) && hasCalculated) resetResultsOnly();
+      const affectsCalc = mandatoryFields.includes(inp.id) || TOLERANCE_IDS.has(inp.id) || OPTIONAL_CALC_IDS.has(inp.id);
+      if (affectsCalc && hasCalculated) resetResultsOnly();
+
+      // A typed CS/ID is no longer the picked standard size
+      if ((inp.id === "oringCS" || inp.id === "oringID") && oringSizeRef) {
+        oringSizeRef = null;
+        renderOringSizeNote();
+      }
 
       const raw = inp.value;
       if (raw.trim() === "") {
@@ -353,7 +1755,7 @@ function attachInputTracking() {
       }
 
       // α: store raw; sci formatting on blur only
-      if (inp.id === "alpha") {
+      if (isCteId(inp.id)) {
         inp.dataset.originalValue = raw;
         inp.dataset.originalUnit  = "";
         checkMandatoryStatus();
@@ -386,38 +1788,43 @@ function attachInputTracking() {
           inp.dataset.originalValue = String(c);
           inp.dataset.originalUnit  = "C";
         }
+      } else if (isLengthInput(inp)) {
+        // Store lengths always in canonical mm
+        inp.dataset.originalValue = String(convert(num, getInputUnit(inp), CANONICAL_LENGTH));
+        inp.dataset.originalUnit  = CANONICAL_LENGTH;
       } else {
-        // Store other numerics with their current display unit
+        // Angles/percentages: as typed
         inp.dataset.originalValue = String(num);
-        inp.dataset.originalUnit  = getInputUnit(inp);  // "in" | "mm"
+        inp.dataset.originalUnit  = "";
       }
 
       checkMandatoryStatus();
       saveSessionDebounced();
-      updateGlandInfoPanel(); // image-only, safe no-op
+      updateGlandInfoPanel(); // redraw diagram
     });
 
     // BLUR rules
     inp.addEventListener("blur", () => {
       const orig = inp.dataset.originalValue;
 
-      if (inp.id === "alpha") {
+      if (isCteId(inp.id)) {
         if (orig !== "" && orig !== undefined) inp.value = toSci(orig);
         saveSessionDebounced();
         updateGlandInfoPanel();
         return;
       }
 
-      // Angle: keep exactly as typed; Temp: don’t reformat on blur
-      if (inp.id === "glandAngle" || isTempId(inp.id)) {
+      // Angle/percent: keep exactly as typed; Temp: don’t reformat on blur
+      if (isAsTypedId(inp.id) || isTempId(inp.id)) {
         saveSessionDebounced();
         updateGlandInfoPanel();
         return;
       }
 
-      // All others → 3 decimals (cosmetic)
+      // Lengths → display unit, 3 decimals (cosmetic)
       if (orig !== "" && orig !== undefined) {
-        inp.value = Number(orig).toFixed(3);
+        const shown = convert(Number(orig), inp.dataset.originalUnit || unit, getInputUnit(inp));
+        inp.value = Number(shown).toFixed(3);
         saveSessionDebounced();
       }
       updateGlandInfoPanel();
@@ -436,12 +1843,30 @@ function attachInputTracking() {
   // Selects
   document.querySelectorAll("select.dropdown").forEach(sel => {
     sel.addEventListener("change", () => {
+      const prevValue = sel.dataset.originalValue;
       sel.dataset.originalValue = sel.value;
       sel.dataset.originalUnit  = "";
 
       if (sel.id === "oringMaterialGroup") {
         if (hasCalculated) resetResultsOnly();
         applyMaterialMapping();
+        applyMediaMapping();
+      } else if (sel.id === "glandType") {
+        if (hasCalculated) resetResultsOnly();
+        applyGlandTypeMapping();
+      } else if (sel.id === "ruleProfile" || sel.id === "oringHardness") {
+        if (hasCalculated) resetResultsOnly();
+      } else if (sel.id === "sizeSeries") {
+        changeSizeSeries();
+      } else if (UNIT_SELECT_FIELDS[sel.id]) {
+        const { field, def } = UNIT_SELECT_FIELDS[sel.id];
+        convertUnitField(field, prevValue || def, sel.value);
+      } else if (sel.id === "housingMaterial") {
+        if (hasCalculated) resetResultsOnly();
+        applyHousingMapping();
+      } else if (sel.id === "fluidMedia") {
+        if (hasCalculated) resetResultsOnly();
+        applyMediaMapping();
       }
 
       checkMandatoryStatus();
@@ -456,20 +1881,33 @@ function attachInputTracking() {
    MATERIAL MAPPING (CTE & Hardness)
    ===================================================================================== */
 
+/** Service range under the material select, in the active temperature unit */
+function renderMaterialRangeNote() {
+  const note = document.getElementById("materialRangeNote");
+  if (!note) return;
+  const lim = readMaterial();
+  const t = c => Number.isFinite(c) ? `${Number(convert(c, "C", tempUnit === "°F" ? "F" : "C")).toFixed(0)} ${tempUnit}` : "?";
+  const parts = [];
+  if (lim && (Number.isFinite(lim.minC) || Number.isFinite(lim.maxC)))
+    parts.push(`Service ${t(lim.minC)} to ${t(lim.maxC)}` + (Number.isFinite(lim.excMaxC) ? ` (excursions to ${t(lim.excMaxC)})` : ""));
+  if (lim && Number.isFinite(lim.tr10C)) parts.push(`TR-10 ${t(lim.tr10C)}`);
+  if (lim && lim.notes) parts.push(lim.notes);
+  note.textContent = parts.join(", ");
+  note.style.display = parts.length ? "block" : "none";
+}
+
 function applyMaterialMapping() {
-  const matSel  = document.getElementById("oringMaterialGroup");
-  const mat     = matSel.value;
   const alphaInp= document.getElementById("alpha");
   const alphaApp= document.getElementById("alphaAppDisplay");
   const hardSel = document.getElementById("oringHardness");
 
-  const map = MATERIAL_TO_CTE[mat];
+  const map = readMaterial();
 
   if (map) {
     alphaInp.dataset.originalValue = String(map.alpha);
     alphaInp.dataset.originalUnit  = "";
     alphaInp.value = toSci(map.alpha);
-    alphaApp.textContent = "";
+    alphaApp.textContent = map.alphaTable ? "α(T) table" : "";
   } else {
     alphaInp.value="";
     alphaInp.dataset.originalValue="";
@@ -477,7 +1915,9 @@ function applyMaterialMapping() {
     alphaApp.textContent="";
   }
 
-  const list = MATERIAL_TO_HARDNESS[mat];
+  renderMaterialRangeNote();
+
+  const list = map?.hardness;
   hardSel.innerHTML="";
   if (list && list.length) {
     hardSel.disabled = false;
@@ -496,7 +1936,101 @@ function applyMaterialMapping() {
     hardSel.appendChild(o);
   }
 
-  updateGlandInfoPanel(); // safe no-op
+  updateGlandInfoPanel(); // redraw diagram
+}
+
+
+/**
+ * Gland type: show only the inputs the selected profile uses
+ * (rectangular fixes the angle at 90°, triangular derives the depth and has no r₂).
+ */
+function applyGlandTypeMapping() {
+  const sel = document.getElementById("glandType");
+  if (!sel) return;
+  if (!GLAND_TYPES[sel.value]) sel.value = GLAND_TYPE_DEFAULT;
+
+  const hidden = GLAND_TYPES[sel.value].hidden;
+  document.querySelectorAll("[data-gland-field]")
+    .forEach(el => { el.style.display = hidden.includes(el.dataset.glandField) ? "none" : ""; });
+
+  checkMandatoryStatus();
+}
+
+/** Keep an as-typed quantity when its unit selector changes (value re-expressed in the new unit) */
+function convertUnitField(fieldId, fromUnit, toUnit) {
+  const inp = document.getElementById(fieldId);
+  const v = readOrig(fieldId);
+  if (!inp || !Number.isFinite(v) || fromUnit === toUnit) return;
+  const shown = Number(convert(v, fromUnit, toUnit).toPrecision(6));
+  inp.value = String(shown);
+  inp.dataset.originalValue = String(shown);
+}
+
+/**
+ * Housing CTE display: show the table value next to the selector, and reveal the
+ * custom α row only when "Custom" is chosen. Blank selection = rigid housing.
+ */
+function applyHousingMapping() {
+  const sel  = document.getElementById("housingMaterial");
+  const disp = document.getElementById("housingAlphaDisplay");
+  if (!sel) return;
+
+  const map = HOUSING_TO_CTE[sel.value];
+  if (disp) disp.textContent = map ? toSci(map.alpha) : "";
+
+  document.querySelectorAll(".housing-custom")
+    .forEach(el => { el.style.display = (sel.value === "Custom") ? "" : "none"; });
+
+  checkMandatoryStatus();
+}
+
+/**
+ * Media compatibility hint: "rating · typical swell" for the chosen material/media
+ * pair, shown next to the media selector.
+ */
+function applyMediaMapping() {
+  const disp = document.getElementById("mediaRatingDisplay");
+  if (!disp) return;
+  const info = readMediaInfo();
+  disp.textContent = info.rating ? `${info.rating} · ${formatSignedPct(info.tableSwellPct, null)}` : "";
+}
+
+/**
+ * Media context for the engine and the banners.
+ * The measured swell (if entered) overrides the table value.
+ * Returns { media, label, material, rating, tableSwellPct, swellPct, source: "none"|"table"|"measured" }
+ */
+function readMediaInfo() {
+  const media    = document.getElementById("fluidMedia")?.value || "";
+  const mat      = readMaterial();
+  const material = mat?.label || "";
+  const entry    = MEDIA_COMPATIBILITY[mat?.family]?.[media];
+  const measured = readOrig("mediaSwell");
+
+  const info = {
+    media,
+    label: MEDIA_LABELS[media] || "",
+    material,
+    rating: entry ? entry[0] : "",
+    tableSwellPct: entry ? entry[1] : 0,
+    swellPct: 0,
+    source: "none"
+  };
+
+  if (Number.isFinite(measured)) { info.swellPct = measured; info.source = "measured"; }
+  else if (entry)                { info.swellPct = entry[1]; info.source = "table"; }
+  return info;
+}
+
+/** Housing CTE for the engine (0 → rigid housing, the legacy behaviour) */
+function readHousingAlpha() {
+  const sel = document.getElementById("housingMaterial");
+  if (!sel || !sel.value) return 0;
+  if (sel.value === "Custom") {
+    const a = readOrig("housingAlpha");
+    return Number.isFinite(a) ? a : NaN;
+  }
+  return HOUSING_TO_CTE[sel.value]?.alpha ?? 0;
 }
 
 
@@ -517,7 +2051,7 @@ function refreshDisplayValues() {
     if (ov === undefined || ov === "") return;
 
     // α → scientific
-    if (inp.id === "alpha") {
+    if (isCteId(inp.id)) {
       inp.value = toSci(ov);
       return;
     }
@@ -530,8 +2064,8 @@ function refreshDisplayValues() {
       return;
     }
 
-    // Angle: keep as typed on refresh (no enforced format)
-    if (inp.id === "glandAngle") return;
+    // Angle/percent: keep as typed on refresh (no enforced format)
+    if (isAsTypedId(inp.id)) return;
 
     // Others: convert using original unit → display unit (in/mm)
     const displayUnit = getInputUnit(inp);
@@ -539,8 +2073,9 @@ function refreshDisplayValues() {
     inp.value = Number(val).toFixed(3);
   });
 
+  renderMaterialRangeNote();
   if (hasCalculated) renderLastResults();
-  updateGlandInfoPanel(); // safe no-op
+  updateGlandInfoPanel(); // redraw diagram
 }
 
 /** Flip “in/mm” stamps; temperature unit stamps are handled by the temp toggle */
@@ -563,7 +2098,7 @@ function updateUnitLabels() {
 function checkMandatoryStatus() {
   let valid=true;
 
-  for (const id of mandatoryFields) {
+  for (const id of activeMandatoryFields()) {
     if (id==="oringMaterialGroup") {
       const sel=document.getElementById("oringMaterialGroup");
       if (!sel || !sel.value) { valid=false; break; }
@@ -574,6 +2109,9 @@ function checkMandatoryStatus() {
     }
   }
 
+  // Custom housing needs its own α
+  if (valid && !Number.isFinite(readHousingAlpha())) valid=false;
+
   const btn = document.getElementById("calculateBtn");
   if (!btn) return;
   btn.disabled = !valid;
@@ -598,7 +2136,7 @@ function circularSegmentArea(r, angle){
   return r*r*Math.acos((r-h)/r) - (r-h)*Math.sqrt(2*r*h - h*h);
 }
 
-/** Dovetail cross-section area (simplified model) */
+/** Dovetail cross-section area (simplified model; see glandCrossSection for the exact one) */
 function dovetailCrossSection(gw, gd, ang, rTop, rBottom, gap){
   const angRad = ang * PI/180;
   const topWidth = gw + 2 * (gd / Math.tan(angRad));
@@ -610,64 +2148,940 @@ function dovetailCrossSection(gw, gd, ang, rTop, rBottom, gap){
 }
 
 /**
- * Master calculation
- * Returns: stretch %, gland volume, and per-temperature compression & fill
+ * Half-dovetail cross-section (same simplified model, one angled wall):
+ * the vertical wall contributes its corners at 90°.
  */
-function calculateDovetail(p, tempsList){
-  const temps = tempsList.length ? tempsList : [AMBIENT];
-
-  const stretchPct = ((p.centerline - (p.id + p.cs)) / (p.id + p.cs)) * 100;
+function halfDovetailCrossSection(gw, gd, ang, rTop, rBottom, gap){
+  const angRad = ang * PI/180;
+  const floorWidth = gw + gd / Math.tan(angRad);
+  const A_trap   = 0.5 * (gw + floorWidth) * gd;
+  const A_top    = circularSegmentArea(rTop, ang) + circularSegmentArea(rTop, 90);
+  const A_bottom = circularSegmentArea(rBottom, ang) + circularSegmentArea(rBottom, 90);
+  const A_gap    = (gw + 2*rTop) * gap;
+  return A_trap + A_top - A_bottom + A_gap;
+}
 
-  // Approximate O-ring volume (torus)
-  const r = p.cs/2, R = (p.id + p.cs)/2;
-  const oringVolume = 2 * PI * PI * r * r * R;
+/** V-groove apex depth from the opening width and the wall angle to the face */
+function triangularDepth(gw, ang){
+  return gw / 2 * Math.tan(ang * PI/180);
+}
 
-  // Gland volume (2D area × circumferential length)
-  const crossArea = dovetailCrossSection(p.gw, p.gd, p.angle, p.rTop, p.rBottom, p.gap);
-  const glandVolume = crossArea * PI * p.centerline;
+/** Triangular (V) groove cross-section: the triangle plus lip segments and gap strip */
+function triangularCrossSection(gw, ang, rTop, gap){
+  const A_tri = 0.5 * gw * triangularDepth(gw, ang);
+  const A_top = 2 * circularSegmentArea(rTop, ang);
+  const A_gap = (gw + 2*rTop) * gap;
+  return A_tri + A_top + A_gap;
+}
+
+/**
+ * Simplified cross-section area for p.glandType with every length scaled by k
+ * (the original segment-based model, kept for comparison with the exact one).
+ */
+function simplifiedGlandCrossSection(p, k = 1){
+  switch (p.glandType) {
+    case "halfDovetail":
+      return halfDovetailCrossSection(p.gw*k, p.gd*k, p.angle, p.rTop*k, p.rBottom*k, p.gap*k);
+    case "rectangular":
+      return dovetailCrossSection(p.gw*k, p.gd*k, 90, p.rTop*k, p.rBottom*k, p.gap*k);
+    case "triangular":
+      return triangularCrossSection(p.gw*k, p.angle, p.rTop*k, p.gap*k);
+    default:
+      return dovetailCrossSection(p.gw*k, p.gd*k, p.angle, p.rTop*k, p.rBottom*k, p.gap*k);
+  }
+}
+
+/* -------------------------------------------------------------------------------------
+   Exact gland geometry
+   - The profile is built from straight walls and r₁/r₂ fillets tangent to them.
+   - The region is closed by the mating face at y = −gap between the r₁ tangent
+     points on the housing face.
+   - Area and centroid are exact line integrals (Green's theorem) over the lines and arcs.
+   ------------------------------------------------------------------------------------- */
+
+/**
+ * Profile of the gland type with tangent fillets (canonical mm, y down,
+ * face at y = 0, floor at y = gd, opening centred on x = 0).
+ * Each side has a wall angle θ from the floor (dovetail a, vertical 90°,
+ * V-groove 180° − a) and two fillets { corner, r, face|floor, wall }: the
+ * tangent points around the lip (r₁) and floor (r₂) corners.
+ * `issues` lists geometry that cannot be built (radii larger than the walls allow).
+ */
+function glandProfile(p, rTop, rBottom){
+  const { gw, gd, angle } = p;
+  const issues = [];
+  if (!(gw > 0)) issues.push("Gland width must be > 0.");
+  if (!(gd > 0)) issues.push("Gland depth must be > 0.");
+  if (!(angle > 0 && angle < 180)) issues.push("Gland angle must be between 0° and 180°.");
+  if (issues.length) return { issues };
+
+  const triangular = p.glandType === "triangular";
+  const theta = {
+    dovetail:     [angle, angle],
+    halfDovetail: [90, angle],
+    rectangular:  [90, 90],
+    triangular:   [180 - angle, 180 - angle]
+  }[p.glandType] || [angle, angle];
+
+  // σ = −1 left, +1 right
+  const side = (thetaDeg, sg) => {
+    const th = thetaDeg * PI/180;
+    const wall = [sg * Math.cos(th), Math.sin(th)];
+    const cot2 = 1 / Math.tan(th/2);
+    const t1 = rTop * cot2;       // lip: material angle θ
+    const t2 = rBottom * cot2;    // floor corner: gland angle θ
+    const lip  = [sg * gw/2, 0];
+    const foot = [sg * gw/2 + sg * gd / Math.tan(th), gd];
+    return {
+      wallLen: gd / Math.sin(th), t1, t2,
+      lip:   { corner: lip,  r: rTop,    face:  [lip[0] + sg*t1, 0],  wall: [lip[0] + t1*wall[0], t1*wall[1]] },
+      floor: { corner: foot, r: rBottom, floor: [foot[0] - sg*t2, gd], wall: [foot[0] - t2*wall[0], gd - t2*wall[1]] }
+    };
+  };
+
+  const left = side(theta[0], -1), right = side(theta[1], 1);
+  const floorW = right.floor.corner[0] - left.floor.corner[0];
+
+  if (!triangular && floorW <= 0) issues.push("Walls meet above the floor (angle too steep for this depth).");
+  [left, right].forEach(s => {
+    if (s.t1 + s.t2 > s.wallLen) issues.push("r₁ + r₂ are larger than the wall allows.");
+  });
+  if (!triangular && left.t2 + right.t2 > floorW) issues.push("r₂ is larger than the floor allows.");
+
+  return { triangular, floorW, left, right, issues: [...new Set(issues)] };
+}
+
+/**
+ * Closed boundary of the gland region as lines { a, b } and arcs { c, r, from, to }
+ * (angles in radians, always the short way round). Walks the mating face,
+ * the left side, the floor, the right side and back up.
+ */
+function glandBoundary(p, prof){
+  const { left, right } = prof;
+  const gap = p.gap > 0 ? p.gap : 0;
+  const segs = [];
+  let at = null;
+  const lineTo = q => { if (at && (at[0] !== q[0] || at[1] !== q[1])) segs.push({ a: at, b: q }); at = q; };
+  const arcTo = (c, r, q) => {
+    if (!(r > 0)) { lineTo(q); return; }
+    const from = Math.atan2(at[1] - c[1], at[0] - c[0]);
+    let d = Math.atan2(q[1] - c[1], q[0] - c[0]) - from;
+    if (d > PI) d -= 2*PI;
+    if (d <= -PI) d += 2*PI;
+    segs.push({ c, r, from, to: from + d });
+    at = q;
+  };
+
+  at = [left.lip.face[0], -gap];
+  const start = at;
+  lineTo(left.lip.face);
+  arcTo([left.lip.face[0], left.lip.r], left.lip.r, left.lip.wall);
+  lineTo(left.floor.wall);
+  arcTo([left.floor.floor[0], p.gd - left.floor.r], left.floor.r, left.floor.floor);
+  lineTo(right.floor.floor);
+  arcTo([right.floor.floor[0], p.gd - right.floor.r], right.floor.r, right.floor.wall);
+  lineTo(right.lip.wall);
+  arcTo([right.lip.face[0], right.lip.r], right.lip.r, right.lip.face);
+  lineTo([right.lip.face[0], -gap]);
+  lineTo(start);
+  return segs;
+}
+
+/**
+ * Exact area and centroid of a closed line/arc boundary:
+ *   A = ½∮(x dy − y dx),  ∬x dA = ½∮x² dy,  ∬y dA = −½∮y² dx
+ */
+function contourIntegrals(segs){
+  let a2 = 0, sx2 = 0, sy2 = 0;
+  segs.forEach(s => {
+    if (s.c) {
+      const [cx, cy] = s.c, r = s.r;
+      const A = f => cx*r*Math.sin(f) - cy*r*Math.cos(f) + r*r*f;
+      const F = f => { const sn = Math.sin(f), cs = Math.cos(f);
+        return cx*cx*r*sn + cx*r*r*(f + sn*cs) + r*r*r*(sn - sn*sn*sn/3); };
+      const G = f => { const sn = Math.sin(f), cs = Math.cos(f);
+        return -cy*cy*r*cs + cy*r*r*(f - sn*cs) + r*r*r*(-cs + cs*cs*cs/3); };
+      a2  += A(s.to) - A(s.from);
+      sx2 += F(s.to) - F(s.from);
+      sy2 += G(s.to) - G(s.from);
+    } else {
+      const [x0, y0] = s.a, [x1, y1] = s.b;
+      const dx = x1 - x0, dy = y1 - y0;
+      a2  += x0*y1 - x1*y0;
+      sx2 += dy * (x0*x0 + x0*dx + dx*dx/3);
+      sy2 -= dx * (y0*y0 + y0*dy + dy*dy/3);
+    }
+  });
+  // Signed area follows the walk direction; the centroid ratio does not
+  return { area: Math.abs(a2) / 2, centroid: [sx2 / a2, sy2 / a2] };
+}
+
+/** Exact cross-section { area, centroid:[x, depth below face] } at housing scale k */
+function exactGlandSection(p, k = 1){
+  const prof = glandProfile(p, p.rTop > 0 ? p.rTop : 0, p.rBottom > 0 ? p.rBottom : 0);
+  if (!prof.right) return { area: NaN, centroid: [NaN, NaN] };
+  const { area, centroid } = contourIntegrals(glandBoundary(p, prof));
+  // Angles are unchanged by expansion: every length scales by k
+  return { area: area * k * k, centroid: [centroid[0] * k, centroid[1] * k] };
+}
+
+/**
+ * Cross-section area for p.glandType with every length scaled by k
+ * (housing expansion); the angle is unchanged. Exact geometry.
+ */
+function glandCrossSection(p, k = 1){
+  return exactGlandSection(p, k).area;
+}
+
+/**
+ * Geometry problems that make the profile unbuildable: radii larger than the walls
+ * or floor allow, or a boundary that crosses itself. Checked once per calculation.
+ */
+function validateGlandGeometry(p){
+  const prof = glandProfile(p, p.rTop > 0 ? p.rTop : 0, p.rBottom > 0 ? p.rBottom : 0);
+  if (prof.issues.length) return prof.issues;
+
+  // Flatten arcs and test every pair of non-adjacent edges
+  const pts = [];
+  glandBoundary(p, prof).forEach(s => {
+    if (!s.c) { pts.push(s.a); return; }
+    for (let i = 0; i < 12; i++) {
+      const f = s.from + (s.to - s.from) * i / 12;
+      pts.push([s.c[0] + s.r * Math.cos(f), s.c[1] + s.r * Math.sin(f)]);
+    }
+  });
+  const cross = (o, a, b) => (a[0]-o[0])*(b[1]-o[1]) - (a[1]-o[1])*(b[0]-o[0]);
+  const n = pts.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue;
+      const a = pts[i], b = pts[(i+1) % n], c = pts[j], d = pts[(j+1) % n];
+      if (cross(a, b, c) * cross(a, b, d) < 0 && cross(c, d, a) * cross(c, d, b) < 0)
+        return ["Gland profile crosses itself; check the radii against the width, depth and angle."];
+    }
+  }
+  return [];
+}
+
+/**
+ * Exact vs simplified cross-section for the report:
+ * { area, centroid, simplifiedArea, diffPct } (diffPct = simplified relative to exact).
+ */
+function compareGlandModels(p){
+  const { area, centroid } = exactGlandSection(p);
+  const simplifiedArea = simplifiedGlandCrossSection(p);
+  return { area, centroid, simplifiedArea, diffPct: (simplifiedArea / area - 1) * 100 };
+}
+
+/**
+ * Height the ring is squeezed to (compression = 1 − h/CS).
+ * Triangular grooves squeeze the ring to the circle inscribed in the V
+ * closed by the mating face: h = 2·area/semi-perimeter.
+ */
+function glandSqueezeHeight(p, k = 1){
+  if (p.glandType !== "triangular") return p.gd * k;
+  const gw = p.gw * k;
+  const a = p.angle * PI/180;
+  const area = 0.5 * gw * triangularDepth(gw, p.angle);
+  const semi = (gw + gw / Math.cos(a)) / 2;
+  return 2 * area / semi;
+}
+
+/**
+ * Young's modulus (MPa) from Shore A hardness — Gent's relation:
+ *   E = 0.0981·(56 + 7.62336·S) / (0.137505·(254 − 2.54·S))
+ */
+function shoreAToModulus(shoreA){
+  return 0.0981 * (56 + 7.62336 * shoreA) / (0.137505 * (254 - 2.54 * shoreA));
+}
+
+/**
+ * Compression load per unit length of seal (N/mm) — Lindley's fit to the
+ * load-deflection curves of a ring squeezed between flat plates:
+ *   f = d·E·(1.25·δ^1.5 + 50·δ^6),  δ = compression fraction, d = CS
+ * Good to ~30–35% squeeze; confinement by the gland walls at high fill stiffens
+ * the ring further, so treat the value as a lower bound there. 0 with no squeeze.
+ */
+function compressionLoad(csMm, compressionPct, shoreA){
+  const d = compressionPct / 100;
+  if (!(d > 0) || !(shoreA > 0)) return 0;
+  return csMm * shoreAToModulus(shoreA) * (1.25 * Math.pow(d, 1.5) + 50 * Math.pow(d, 6));
+}
+
+/**
+ * Installed cross-section after ID stretch (stretchPct, %).
+ * Stretch (> 0): the handbook empirical reduction y (% of CS) for x % stretch
+ *   0 < x ≤ 3 : y = 0.005 + 1.19x − 0.19x² − 0.001x³ + 0.008x⁴
+ *   x > 3     : y = 0.56 + 0.59x − 0.0046x²
+ * Circumferential compression (x < 0): the ring is pushed into a smaller
+ * circle at constant volume, so CS grows as 1/√(1 + x/100).
+ */
+function stretchedCrossSection(cs, stretchPct){
+  const x = stretchPct;
+  if (!(x > 0)) return x < 0 ? cs / Math.sqrt(1 + x / 100) : cs;
+  const y = (x <= 3)
+    ? 0.005 + 1.19*x - 0.19*x*x - 0.001*x*x*x + 0.008*x*x*x*x
+    : 0.56 + 0.59*x - 0.0046*x*x;
+  return cs * (1 - y / 100);
+}
+
+/**
+ * Elastomer linear thermal strain from AMBIENT to AMBIENT + dT.
+ * With p.alphaTable ([[°C, α], ...], ascending) the instantaneous α is
+ * interpolated linearly (held flat past the ends) and integrated exactly;
+ * otherwise the constant p.alpha gives p.alpha·dT.
+ */
+function sealThermalStrain(p, dT){
+  const tab = p.alphaTable;
+  if (!tab || tab.length < 2) return p.alpha * dT;
+
+  const alphaAt = t => {
+    if (t <= tab[0][0]) return tab[0][1];
+    for (let i = 1; i < tab.length; i++) {
+      const [t0, a0] = tab[i-1], [t1, a1] = tab[i];
+      if (t <= t1) return a0 + (a1 - a0) * (t - t0) / (t1 - t0);
+    }
+    return tab[tab.length-1][1];
+  };
+
+  // Trapezoids between breakpoints are exact for piecewise-linear α
+  const lo = Math.min(AMBIENT, AMBIENT + dT), hi = Math.max(AMBIENT, AMBIENT + dT);
+  const xs = [lo, ...tab.map(r => r[0]).filter(t => t > lo && t < hi), hi];
+  let strain = 0;
+  for (let i = 1; i < xs.length; i++) strain += (xs[i] - xs[i-1]) * (alphaAt(xs[i]) + alphaAt(xs[i-1])) / 2;
+  return dT >= 0 ? strain : -strain;
+}
+
+/**
+ * Master calculation (lengths in canonical mm; volumes come back in mm³)
+ * Returns: stretch %, free & installed CS, gland & O-ring volume, and per-temperature
+ * compression, fill, stretch & installed CS.
+ * Compression and fill use the installed section: the ring is stretched (or
+ * circumferentially compressed) onto the centerline at every temperature and its
+ * CS follows stretchedCrossSection; fill takes the installed ring volume.
+ * p.glandType selects the area/squeeze model (see glandCrossSection); every type
+ * shares the rest of the pipeline.
+ * p.housingAlpha (optional, 1/°C) grows every gland length with temperature;
+ * 0 keeps the housing rigid.
+ * p.swellPct (optional, volume %) swells the ring in its media: volume × (1+S),
+ * every ring length × (1+S)^⅓, at all temperatures.
+ * p.alphaTable (optional) replaces the constant p.alpha with α(T); see sealThermalStrain.
+ * p.hardness (optional, Shore A) adds the compression load per unit length
+ * (N/mm) and the total closure force (N, load × gland circumference) to each
+ * temperature; the modulus is taken at room temperature.
+ */
+function calculateDovetail(p, tempsList){
+  const temps = tempsList.length ? tempsList : [AMBIENT];
+  const alphaH = p.housingAlpha || 0;
+  const swellVol = 1 + (p.swellPct || 0) / 100;
+  const swellLin = Math.cbrt(swellVol);
+
+  const stretchPct = ((p.centerline - (p.id + p.cs)) / (p.id + p.cs)) * 100;
+
+  // Approximate O-ring volume (torus)
+  const r = p.cs/2, R = (p.id + p.cs)/2;
+  const oringVolume = 2 * PI * PI * r * r * R;
+
+  // Gland volume (2D area × circumferential length)
+  const crossArea = glandCrossSection(p);
+  const glandVolume = crossArea * PI * p.centerline;
 
   const results = temps.map(tempC => {
     const dT = tempC - AMBIENT;
-    const expandedCS = p.cs * (1 + p.alpha * dT);
-    const expandedVol = oringVolume * (1 + 3*p.alpha*dT);
+    const strain = sealThermalStrain(p, dT);
+    const kSeal = 1 + strain;         // elastomer linear growth
+    const kHous = 1 + alphaH * dT;    // housing linear growth (angle unchanged)
+
+    const expandedCS = p.cs * kSeal * swellLin;
+    const expandedVol = oringVolume * (1 + 3*strain) * swellVol;
+
+    // Gland at temperature: every length scales with the housing
+    const gdT = glandSqueezeHeight(p, kHous);
+    const centerlineT = p.centerline * kHous;
+    const areaT = glandCrossSection(p, kHous);
+    const glandVolT = areaT * PI * centerlineT;
+
+    const meanDiaT = (p.id + p.cs) * kSeal * swellLin;
+    const stretchT = ((centerlineT - meanDiaT) / meanDiaT) * 100;
+
+    // Installed ring: section from the stretch relation, centred on the centerline
+    const installedCs = stretchedCrossSection(expandedCS, stretchT);
+    const installedVol = expandedVol * (installedCs / expandedCS) ** 2 * (centerlineT / meanDiaT);
+
+    const compressionPct = (1 - (gdT / installedCs)) * 100;
+    const loadPerLength = p.hardness ? compressionLoad(installedCs, compressionPct, p.hardness) : null;
+
     return {
       tempC,
-      compressionPct: (1 - (p.gd / expandedCS)) * 100,
-      glandFillPct: (expandedVol / glandVolume) * 100
+      compressionPct,
+      glandFillPct: (installedVol / glandVolT) * 100,
+      stretchPct: stretchT,
+      installedCs,
+      loadPerLength,
+      closureForce: p.hardness ? loadPerLength * PI * centerlineT : null
+    };
+  });
+
+  return {
+    glandType: p.glandType || "dovetail", stretchPct,
+    freeCs: p.cs, installedCs: stretchedCrossSection(p.cs, stretchPct),
+    glandVolume, oringVolume,
+    swellPct: p.swellPct || 0, temperatureResults: results
+  };
+}
+
+/**
+ * Dovetail retention (does the ring stay in the groove?).
+ * The lips undercut the groove when the wall angle is < 90°; the r₁ lip radius
+ * moves the narrowest point below the face, widening it to
+ *   throat = gw + n·r₁·(cot(a/2) − 1)
+ * with n = 2 undercut lips (full dovetail) or 1 (half dovetail).
+ * Insertion squeeze is the CS reduction needed to push the free ring through it.
+ * Returns null for gland types that do not retain the ring by design.
+ */
+function calculateRetention(p){
+  const type = GLAND_TYPES[p.glandType] || GLAND_TYPES[GLAND_TYPE_DEFAULT];
+  if (!type.retains) return null;
+
+  const lips = (p.glandType === "halfDovetail") ? 1 : 2;
+  const undercut = p.angle > 0 && p.angle < 90;
+  const half = (p.angle * PI/180) / 2;
+  const throat = undercut ? p.gw + lips * p.rTop * (1/Math.tan(half) - 1) : p.gw;
+
+  return {
+    undercut,
+    throat,
+    ratio: p.cs / throat,
+    insertionSqueezePct: (1 - throat / p.cs) * 100,
+    retained: undercut && throat < p.cs
+  };
+}
+
+/**
+ * Maximum diametral clearance (mm) before extrusion at a pressure (MPa), from
+ * the tabulated curve at or below the given hardness (conservative between
+ * curves). Interpolated log–log; flat below the first point. Returns null past
+ * the end of the curve, where no clearance is safe without a backup ring.
+ */
+function extrusionGapLimit(pressureMPa, shoreA){
+  const grades = Object.keys(EXTRUSION_CURVES).map(Number).sort((a,b)=>a-b);
+  const grade = grades.filter(g => g <= shoreA).pop() ?? grades[0];
+  const pts = EXTRUSION_CURVES[grade];
+
+  if (pressureMPa <= pts[0][0]) return pts[0][1];
+  for (let i = 1; i < pts.length; i++) {
+    const [p0, g0] = pts[i-1], [p1, g1] = pts[i];
+    if (pressureMPa <= p1) {
+      const f = Math.log(pressureMPa / p0) / Math.log(p1 / p0);
+      return g0 * Math.pow(g1 / g0, f);
+    }
+  }
+  return null;
+}
+
+/**
+ * Extrusion check at every temperature. The ring is pushed into the gap (e)
+ * at the mating face; the handbook curves are given as diametral clearance,
+ * so the comparison uses 2e, with e growing with the housing like every other
+ * gland length. Returns null when no pressure is entered.
+ *   limit   : allowed diametral clearance (mm), null beyond the curve
+ *   maxGap  : recommended maximum e (mm), half the limit
+ *   entries : [{ tempC, gap, diametral, ratio }] with ratio = 2e / limit
+ */
+function calculateExtrusion(p, tempsList, pressureMPa){
+  if (!(pressureMPa > 0)) return null;
+  const temps = tempsList.length ? tempsList : [AMBIENT];
+  const alphaH = p.housingAlpha || 0;
+  const hardness = p.hardness || EXTRUSION_HARDNESS_DEFAULT;
+  const limit = extrusionGapLimit(pressureMPa, hardness);
+
+  const entries = temps.map(tempC => {
+    const gap = Math.max(0, p.gap) * (1 + alphaH * (tempC - AMBIENT));
+    const diametral = 2 * gap;
+    return { tempC, gap, diametral, ratio: limit ? diametral / limit : Infinity };
+  });
+  const worst = entries.reduce((a, b) => (b.ratio > a.ratio ? b : a));
+
+  return {
+    pressureMPa,
+    hardness,
+    assumedHardness: !p.hardness,
+    limit,
+    maxGap: limit ? limit / 2 : null,
+    entries,
+    worst
+  };
+}
+
+/**
+ * Compression set (%) after `hours` at tempC:
+ *   set = 1 − exp(−(t/τ)^β),  τ(T) = τref · exp(Ea/R · (1/T − 1/Tref))
+ * with τref fitted so the curve passes through the family's datasheet point.
+ */
+function compressionSetAt(aging, tempC, hours){
+  const beta = AGING_SHAPE;
+  const tauRef = aging.refHours / Math.pow(-Math.log(1 - aging.refSetPct / 100), 1 / beta);
+  const invT = 1 / (tempC + 273.15), invRef = 1 / (aging.refC + 273.15);
+  const tau = tauRef * Math.exp(aging.eaKJ * 1000 / 8.314 * (invT - invRef));
+  return 100 * (1 - Math.exp(-Math.pow(hours / tau, beta)));
+}
+
+/**
+ * Seal life at a constant aging temperature. Compression set gives back part of
+ * the squeeze, so the remaining squeeze after t hours is c₀ · (1 − set(t)).
+ *   curve        : [{ hours, setPct, squeezePct }] log-spaced from 1 h
+ *   atLife       : the same at designHours (null without a design life)
+ *   hoursToLimit : time for the squeeze to fall to minSqueezePct (0 if it starts below)
+ * Returns null without aging data or a positive initial squeeze.
+ */
+function calculateSealLife(aging, tempC, compressionPct, designHours, minSqueezePct){
+  if (!aging || !Number.isFinite(tempC) || !(compressionPct > 0)) return null;
+  const at = hours => {
+    const setPct = compressionSetAt(aging, tempC, hours);
+    return { hours, setPct, squeezePct: compressionPct * (1 - setPct / 100) };
+  };
+
+  // Invert the set curve at set = 1 − min/c₀ (bisection on log time)
+  let hoursToLimit = 0;
+  if (compressionPct > minSqueezePct) {
+    let lo = -3, hi = 9;
+    for (let i = 0; i < 60; i++) {
+      const mid = (lo + hi) / 2;
+      if (at(Math.pow(10, mid)).squeezePct > minSqueezePct) lo = mid; else hi = mid;
+    }
+    hoursToLimit = Math.pow(10, lo);
+  }
+
+  const life = designHours > 0 ? designHours : 0;
+  const span = Math.max(life * 3, Math.min(hoursToLimit * 2, 1e6), 1000);
+  const decades = Math.ceil(Math.log10(span));
+  const curve = [];
+  for (let i = 0; i <= 60; i++) curve.push(at(Math.pow(10, decades * i / 60)));
+
+  return {
+    tempC, compressionPct, minSqueezePct,
+    designHours: life || null,
+    atLife: life ? at(life) : null,
+    hoursToLimit,
+    curve
+  };
+}
+
+/**
+ * calculateSealLife with the family's AGING_PARAMS. Every built-in family has an
+ * entry; a family without one gets { noAgingData, family, tempC, designHours } so
+ * the card and findings can say the life was not estimated instead of dropping it.
+ */
+function estimateSealLife(family, tempC, compressionPct, designHours, minSqueezePct){
+  const aging = AGING_PARAMS[family];
+  if (aging) return calculateSealLife(aging, tempC, compressionPct, designHours, minSqueezePct);
+  return { noAgingData: true, family: family || "this material", tempC, designHours: designHours > 0 ? designHours : null };
+}
+
+/**
+ * Continuous temperature sweep: the nominal model evaluated at `steps` + 1
+ * evenly spaced temperatures from tMin to tMax (°C, inclusive).
+ * Returns calculateDovetail's per-temperature entries.
+ */
+function calculateTemperatureSweep(p, tMin, tMax, steps = 120){
+  const temps = [];
+  for (let i = 0; i <= steps; i++) temps.push(tMin + (tMax - tMin) * i / steps);
+  return calculateDovetail(p, temps).temperatureResults;
+}
+
+/**
+ * Temperatures where a swept metric crosses a limit (linear interpolation
+ * between samples). `rising` is true when the metric increases with temperature.
+ */
+function findLimitCrossings(points, key, limit){
+  const hits = [];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i-1], b = points[i];
+    const da = a[key] - limit, db = b[key] - limit;
+    if (da === 0 || da * db >= 0) continue;
+    const f = da / (da - db);
+    hits.push({ tempC: a.tempC + f * (b.tempC - a.tempC), rising: db > da });
+  }
+  return hits;
+}
+
+/**
+ * Tolerance stack-up around the nominal parameter set.
+ * - Sensitivities: central difference of each metric over each toleranced input (±t).
+ * - Worst-case: the metric is re-evaluated exactly at the corner its sensitivities point to.
+ * - RSS: nominal ± root-sum-square of the per-input half swings.
+ * Returns { toleranced, stretch, temperatureResults:[{ tempC, compression, fill }] },
+ * where every metric is { nom, wcMin, wcMax, rssMin, rssMax }.
+ */
+function calculateToleranceStackup(p, tols, tempsList){
+  const nominal = calculateDovetail(p, tempsList);
+  const keys = Object.keys(tols).filter(k => tols[k] > 0);
+
+  // Metric extractors (stretch once, compression & fill per temperature)
+  const pickers = [{ get: o => o.stretchPct }];
+  nominal.temperatureResults.forEach((_, i) => {
+    pickers.push({ get: o => o.temperatureResults[i].compressionPct });
+    pickers.push({ get: o => o.temperatureResults[i].glandFillPct });
+  });
+
+  // One high/low evaluation per toleranced input
+  const swings = keys.map(k => ({
+    k,
+    hi: calculateDovetail({ ...p, [k]: p[k] + tols[k] }, tempsList),
+    lo: calculateDovetail({ ...p, [k]: p[k] - tols[k] }, tempsList)
+  }));
+
+  const stack = pickers.map(({ get }) => {
+    const nom = get(nominal);
+    const halfSwing = swings.map(s => (get(s.hi) - get(s.lo)) / 2);
+
+    // Worst-case corners: push every input in the direction that raises/lowers the metric
+    const corner = dir => {
+      const q = { ...p };
+      swings.forEach((s, i) => {
+        if (halfSwing[i] !== 0) q[s.k] = p[s.k] + dir * Math.sign(halfSwing[i]) * tols[s.k];
+      });
+      return get(calculateDovetail(q, tempsList));
+    };
+    const rss = Math.sqrt(halfSwing.reduce((a, d) => a + d*d, 0));
+
+    return {
+      nom,
+      wcMin: Math.min(nom, corner(-1)),
+      wcMax: Math.max(nom, corner(+1)),
+      rssMin: nom - rss,
+      rssMax: nom + rss
     };
   });
 
-  return { stretchPct, glandVolume, temperatureResults: results };
+  return {
+    toleranced: keys,
+    stretch: stack[0],
+    temperatureResults: nominal.temperatureResults.map((t, i) => ({
+      tempC: t.tempC,
+      compression: stack[1 + 2*i],
+      fill:        stack[2 + 2*i]
+    }))
+  };
+}
+
+/**
+ * Collapse a stack-up into a plain calculateDovetail()-shaped result at one bound,
+ * so the regular RED/AMBER rules can be run against the tolerance extremes.
+ * bound: "wcMin" | "wcMax" | "rssMin" | "rssMax"
+ */
+function stackupExtremeOut(stack, bound){
+  return {
+    stretchPct: stack.stretch[bound],
+    temperatureResults: stack.temperatureResults.map(t => ({
+      tempC: t.tempC,
+      compressionPct: t.compression[bound],
+      glandFillPct: t.fill[bound]
+    }))
+  };
 }
 
 /** Warning rules (engineering) */
-function evaluateWarnings(out){
+function evaluateWarnings(out, limits){
   const warn = [];
+  const { compMin, compMax, fillMax, stretchMin, stretchMax } = limits;
 
-  if (out.stretchPct < 0) warn.push("O-ring is loose (negative stretch).");
-  else if (out.stretchPct > 5) warn.push("Stretch exceeds recommended 5%.");
+  if (out.stretchPct < stretchMin)
+    warn.push(stretchMin === 0 ? "O-ring is loose (negative stretch)." : `Stretch is below the ${stretchMin}% minimum.`);
+  else if (out.stretchPct > stretchMax) warn.push(`Stretch exceeds recommended ${stretchMax}%.`);
 
   out.temperatureResults.forEach(t => {
-    if (t.compressionPct < 15) warn.push(`Compression ${t.tempC}°C < 15%`);
-    if (t.compressionPct > 25) warn.push(`Compression ${t.tempC}°C > 25%`);
-    if (t.glandFillPct > 90)   warn.push(`Gland fill ${t.tempC}°C > 90%`);
+    if (t.compressionPct < compMin) warn.push(`Compression ${t.tempC}°C < ${compMin}%`);
+    if (t.compressionPct > compMax) warn.push(`Compression ${t.tempC}°C > ${compMax}%`);
+    if (t.glandFillPct > fillMax)   warn.push(`Gland fill ${t.tempC}°C > ${fillMax}%`);
   });
 
   return warn;
 }
 
+/* =====================================================================================
+   MONTE CARLO ENGINE (seeded sampler; runs unchanged inside the Web Worker)
+   -------------------------------------------------------------------------------------
+   - Everything here must stay self-contained: the worker is built from these
+     function sources (see MC_WORKER_DEPS), so no DOM access and no outer state.
+   ===================================================================================== */
+
+/** Seedable PRNG (mulberry32) → uniform [0,1) */
+function createSeededRng(seed){
+  let a = (seed >>> 0) || 1;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Draw one input value: "normal" (σ = tol / k), "uniform" (±tol) or fixed at nominal */
+function sampleInput(rng, nominal, tol, dist, k){
+  if (!(tol > 0)) return nominal;
+  if (dist === "uniform") return nominal + (2 * rng() - 1) * tol;
+  if (dist === "normal") {
+    // Box–Muller (1 - u keeps log() away from 0)
+    const u = 1 - rng(), v = rng();
+    const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * PI * v);
+    return nominal + z * (tol / k);
+  }
+  return nominal;
+}
+
+/**
+ * Fresh simulation state for a job:
+ * { params, tols, dists, k, n, seed, temps, limits } (limits: resolved rule set, see RULE_FIELDS)
+ */
+function createMonteCarloState(job){
+  const nT = job.temps.length;
+  return {
+    job,
+    rng: createSeededRng(job.seed),
+    done: 0,
+    stretch: new Float64Array(job.n),
+    compression: Array.from({ length: nT }, () => new Float64Array(job.n)),
+    fill:        Array.from({ length: nT }, () => new Float64Array(job.n)),
+    anyOut: 0
+  };
+}
+
+/**
+ * Advance the simulation by up to `count` samples; returns true when finished.
+ * A sample fails like the deterministic check: stretch outside its window, or
+ * compression/fill out of band at any temperature.
+ */
+function monteCarloStep(state, count){
+  const { job } = state;
+  const { compMin, compMax, fillMax, stretchMin, stretchMax } = job.limits;
+  const end = Math.min(job.n, state.done + count);
+
+  for (let i = state.done; i < end; i++) {
+    const q = { ...job.params };
+    Object.keys(job.tols).forEach(key => {
+      q[key] = sampleInput(state.rng, job.params[key], job.tols[key], job.dists[key], job.k);
+    });
+
+    const out = calculateDovetail(q, job.temps);
+    state.stretch[i] = out.stretchPct;
+
+    let bad = !(out.stretchPct >= stretchMin && out.stretchPct <= stretchMax);
+    out.temperatureResults.forEach((t, j) => {
+      state.compression[j][i] = t.compressionPct;
+      state.fill[j][i] = t.glandFillPct;
+      if (!(t.compressionPct >= compMin && t.compressionPct <= compMax) || !(t.glandFillPct <= fillMax)) bad = true;
+    });
+    if (bad) state.anyOut++;
+  }
+
+  state.done = end;
+  return end >= job.n;
+}
+
+/** Mean, σ, percentiles, histogram and share outside [lo, hi] for one sample array */
+function summarizeSamples(arr, lo, hi, bins=30){
+  const xs = Array.from(arr).filter(Number.isFinite).sort((a,b)=>a-b);
+  const n = xs.length;
+  if (!n) return null;
+
+  const mean = xs.reduce((a,x)=>a+x, 0) / n;
+  const std  = Math.sqrt(xs.reduce((a,x)=>a+(x-mean)*(x-mean), 0) / Math.max(1, n-1));
+  const pct  = p => {
+    const pos = (n - 1) * p / 100;
+    const i = Math.floor(pos), f = pos - i;
+    return (i + 1 < n) ? xs[i] + f * (xs[i+1] - xs[i]) : xs[i];
+  };
+
+  const min = xs[0], max = xs[n-1];
+  const width = (max - min) || 1;
+  const counts = new Array(bins).fill(0);
+  xs.forEach(x => { counts[Math.min(bins-1, Math.floor((x - min) / width * bins))]++; });
+
+  const out = xs.filter(x => x < lo || x > hi).length;
+
+  return {
+    n, mean, std, min, max,
+    p: { 1:pct(1), 5:pct(5), 50:pct(50), 95:pct(95), 99:pct(99) },
+    outPct: out / n * 100,
+    hist: { lo:min, hi:min + width, counts }
+  };
+}
+
+/** Final report for a completed state (compact; no raw samples) */
+function monteCarloSummarize(state){
+  const { job } = state;
+  const { compMin, compMax, fillMax, stretchMin, stretchMax } = job.limits;
+  return {
+    n: job.n,
+    seed: job.seed,
+    stretch: summarizeSamples(state.stretch, stretchMin, stretchMax),
+    temperatureResults: job.temps.map((tempC, j) => ({
+      tempC,
+      compression: summarizeSamples(state.compression[j], compMin, compMax),
+      fill:        summarizeSamples(state.fill[j], -Infinity, fillMax)
+    })),
+    anyOutPct: state.anyOut / job.n * 100,
+    limits: job.limits
+  };
+}
+
+/* =====================================================================================
+   REVERSE DESIGN SOLVER (“Design for me”)
+   -------------------------------------------------------------------------------------
+   - Grid search over standard wall angles and CS-relative width/depth/radii
+     (gland types override ranges through GLAND_TYPES[type].search).
+   - Constraints: no RED rule fires at any temperature and, for dovetails, the ring is retained.
+   - Objective: the smallest margin (in % points) to the compression band, fill
+     limit and retention window — larger is better; ties go to the larger total margin.
+   ===================================================================================== */
+
+/** Search space (multiples of the O-ring CS unless noted) */
+const DESIGN_SEARCH = {
+  angles: [60, 62, 64, 66, 68],           // standard dovetail wall angles (°)
+  depth:  { from: 0.70, to: 0.88, step: 0.01 },
+  width:  { from: 0.70, to: 0.95, step: 0.025 },
+  rTop:    [0.04, 0.08, 0.12],
+  rBottom: [0.08, 0.15, 0.20],
+  stretchPct: 2,                          // centerline sizing when none is entered
+  maxCandidates: 10
+};
+
+/**
+ * Rank candidate geometries for a fixed O-ring and operating context.
+ * base: engine params (cs, id, alpha, housingAlpha, swellPct; optional gap/centerline)
+ * snap: manufacturing step in mm (e.g. 0.01 mm or 0.001 in)
+ * limits: resolved rule set (bands the candidates must meet and are ranked against)
+ * Returns [{ params, out, retention, margins:{ compression, fill, retention, overall } }]
+ */
+function solveGlandDesign(base, temps, snap, limits){
+  const d = base.cs;
+  const type = GLAND_TYPES[base.glandType] || GLAND_TYPES[GLAND_TYPE_DEFAULT];
+  const search = { ...DESIGN_SEARCH, ...type.search };
+  const round = v => Math.round(v / snap) * snap;
+  const range = ({ from, to, step }) => {
+    const a = [];
+    for (let f = from; f <= to + 1e-9; f += step) a.push(f);
+    return a;
+  };
+
+  const centerline = (base.centerline > 0)
+    ? base.centerline
+    : (base.id + d) * (1 + DESIGN_SEARCH.stretchPct / 100);
+  const gap = (base.gap >= 0) ? base.gap : 0;
+
+  const best = new Map();
+
+  // Triangular depth follows from width and angle (search.depth is null)
+  const depths = search.depth ? range(search.depth) : [null];
+
+  search.angles.forEach(angle => {
+    range(search.width).forEach(wf => {
+      depths.forEach(df => {
+        search.rTop.forEach(r1f => {
+          search.rBottom.forEach(r2f => {
+            const gw = round(wf * d);
+            const p = {
+              ...base, angle, gap, centerline, gw,
+              gd: df === null ? triangularDepth(gw, angle) : round(df * d),
+              rTop: round(r1f * d), rBottom: round(r2f * d)
+            };
+
+            // Same geometry advisories as evaluateAmbers() (radii vs width); buildable profile only
+            if (p.rTop > p.gw * 0.40 || p.rBottom > p.gw * 0.40) return;
+            if (glandProfile(p, p.rTop, p.rBottom).issues.length) return;
+
+            const retention = calculateRetention(p);
+            const sq = retention ? retention.insertionSqueezePct : NaN;
+            if (retention && (!retention.retained || sq < RETENTION_LIMITS.marginalPct || sq > RETENTION_LIMITS.highPct)) return;
+
+            const out = calculateDovetail(p, temps);
+            if (evaluateWarnings(out, limits).length) return;
+
+            const margins = {
+              compression: Math.min(...out.temperatureResults.map(t =>
+                Math.min(t.compressionPct - limits.compMin, limits.compMax - t.compressionPct))),
+              fill: Math.min(...out.temperatureResults.map(t => limits.fillMax - t.glandFillPct)),
+              retention: retention ? Math.min(sq - RETENTION_LIMITS.marginalPct, RETENTION_LIMITS.highPct - sq) : Infinity
+            };
+            margins.overall = Math.min(margins.compression, margins.fill, margins.retention);
+            margins.total = margins.compression + margins.fill + (retention ? margins.retention : 0);
+
+            // Keep the best radii per (angle, width, depth) so the list stays diverse
+            const key = `${angle}|${p.gw}|${p.gd}`;
+            const prev = best.get(key);
+            if (!prev || rankCandidates({ margins }, prev) < 0)
+              best.set(key, { params: p, out, retention, margins });
+          });
+        });
+      });
+    });
+  });
+
+  return [...best.values()]
+    .sort(rankCandidates)
+    .slice(0, DESIGN_SEARCH.maxCandidates);
+}
+
+/** Sort comparator: larger smallest-margin first, then larger total margin */
+function rankCandidates(a, b){
+  const d = b.margins.overall - a.margins.overall;
+  return (Math.abs(d) > 1e-9) ? d : b.margins.total - a.margins.total;
+}
+
+/* =====================================================================================
+   SIZE SUGGESTIONS (standard rings that fit an existing gland)
+   ===================================================================================== */
+
+/**
+ * Evaluate every size row (canonical mm { dash, cs, id }) against a fixed gland.
+ * Rows that trip any RED rule (compression/fill/stretch at any temperature,
+ * retention) are dropped; the rest are ranked by their smallest margin in
+ * % points to the compression band, fill limit and stretch window.
+ */
+function rankSizeFits(base, rows, temps, limits){
+  const fits = [];
+
+  rows.forEach(row => {
+    const p = { ...base, cs: row.cs, id: row.id };
+    const out = calculateDovetail(p, temps);
+    if (evaluateWarnings(out, limits).length) return;
+
+    const retention = calculateRetention(p);
+    if (collectRetentionFindings(retention).red.length) return;
+
+    const margins = {
+      compression: Math.min(...out.temperatureResults.map(t =>
+        Math.min(t.compressionPct - limits.compMin, limits.compMax - t.compressionPct))),
+      fill: Math.min(...out.temperatureResults.map(t => limits.fillMax - t.glandFillPct)),
+      stretch: Math.min(out.stretchPct - limits.stretchMin, limits.stretchMax - out.stretchPct)
+    };
+    margins.overall = Math.min(margins.compression, margins.fill, margins.stretch);
+    margins.total = margins.compression + margins.fill + margins.stretch;
+
+    fits.push({ row, out, retention, margins });
+  });
+
+  return fits.sort(rankCandidates);
+}
+
 /* =====================================================================================
    AMBER (ADVISORY) ALERT ENGINE
    Supports:
-   A) Compression near edges (15–17% or 23–25%)
-   B) Gland Fill high but ≤ 90% (85–90%)
-   C) Stretch very low but positive (0–1%)
+   A) Compression near edges (compMin–compLowWarn / compHighWarn–compMax, e.g. 15–17% / 23–25%)
+   B) Gland Fill high but ≤ maximum (fillWarn–fillMax, e.g. 85–90%)
+   C) Stretch very low but in the window (stretchMin–stretchWarn, e.g. 0–1%)
+   All edges come from the active rule profile (see RULE_FIELDS).
    D) Temperature-specific borderline conditions
    E) Geometry inconsistencies (radii vs gland width/depth)
    ===================================================================================== */
 
-function evaluateAmbers(out, meta, params) {
+function evaluateAmbers(out, meta, params, limits) {
   const amber = [];
+  const { compMin, compLowWarn, compHighWarn, compMax, fillWarn, fillMax, stretchMin, stretchWarn } = limits;
+  const nearLow  = c => c >= compMin && c < compLowWarn;
+  const nearHigh = c => c > compHighWarn && c <= compMax;
 
   /* -----------------------------
      A) BORDERLINE COMPRESSION
@@ -675,28 +3089,28 @@ function evaluateAmbers(out, meta, params) {
   out.temperatureResults.forEach(item => {
     const c = item.compressionPct;
 
-    // near lower band: 15%–17%
-    if (c >= 15 && c < 17)
+    // near lower band (compMin–compLowWarn)
+    if (nearLow(c))
       amber.push(`Compression at ${item.tempC}°C is near the lower limit (≈${c.toFixed(2)}%).`);
 
-    // near upper band: 23%–25%
-    if (c > 23 && c <= 25)
+    // near upper band (compHighWarn–compMax)
+    if (nearHigh(c))
       amber.push(`Compression at ${item.tempC}°C is approaching the upper limit (≈${c.toFixed(2)}%).`);
   });
 
   /* -----------------------------
-     B) BORDERLINE GLAND FILL (85–90%)
+     B) BORDERLINE GLAND FILL (fillWarn–fillMax)
      ----------------------------- */
   out.temperatureResults.forEach(item => {
     const gf = item.glandFillPct;
-    if (gf > 85 && gf <= 90)
+    if (gf > fillWarn && gf <= fillMax)
       amber.push(`Gland Fill at ${item.tempC}°C is approaching maximum capacity (≈${gf.toFixed(2)}%).`);
   });
 
   /* -----------------------------
-     C) BORDERLINE STRETCH (0–1%)
+     C) BORDERLINE STRETCH (stretchMin–stretchWarn)
      ----------------------------- */
-  if (out.stretchPct >= 0 && out.stretchPct < 1)
+  if (out.stretchPct >= stretchMin && out.stretchPct < stretchWarn)
     amber.push(`Stretch is very low (≈${out.stretchPct.toFixed(2)}%). Verify dimensions.`);
 
   /* -----------------------------
@@ -712,8 +3126,8 @@ function evaluateAmbers(out, meta, params) {
 
         // borderline at hot/cold but nominal OK
         if (
-          (cNom >= 15 && cNom <= 25) &&
-          ((cOther >= 15 && cOther < 17) || (cOther > 23 && cOther <= 25))
+          (cNom >= compMin && cNom <= compMax) &&
+          (nearLow(cOther) || nearHigh(cOther))
         ) {
           amber.push(
             `Compression at ${item.tempC}°C is borderline while nominal remains acceptable.`
@@ -729,10 +3143,10 @@ function evaluateAmbers(out, meta, params) {
 
   // Very large radii compared to gland width/depth (not failure, just advisory)
   if (params.rTop > params.gw * 0.40)
-    amber.push(`Top radius appears large compared to gland width (r₁ = ${params.rTop}).`);
+    amber.push(`Top radius appears large compared to gland width (r₁ = ${formatLength(params.rTop)}).`);
 
   if (params.rBottom > params.gw * 0.40)
-    amber.push(`Bottom radius appears large compared to gland width (r₂ = ${params.rBottom}).`);
+    amber.push(`Bottom radius appears large compared to gland width (r₂ = ${formatLength(params.rBottom)}).`);
 
   // Gap too small relative to CS can cause installation difficulty
   if (params.gap < params.cs * 0.02)
@@ -745,6 +3159,91 @@ function evaluateAmbers(out, meta, params) {
   return amber;
 }
 
+/** Read a field's stored original as a number (NaN when empty) */
+function readOrig(id){
+  const el=document.getElementById(id);
+  const ov=el?.dataset.originalValue;
+  return (ov === undefined || ov === "") ? NaN : Number(ov);
+}
+
+/** Read a length field's original in canonical mm (NaN when empty) */
+function readLength(id){
+  const el=document.getElementById(id);
+  const ov=el?.dataset.originalValue;
+  if (ov === undefined || ov === "") return NaN;
+  const mm = convert(Number(ov), el.dataset.originalUnit || unit, CANONICAL_LENGTH);
+  return Number.isFinite(mm) ? mm : NaN;
+}
+
+/** Write a canonical mm length into a field (original + formatted display) */
+function setLengthField(id, mm){
+  const el=document.getElementById(id);
+  if (!el) return;
+  el.dataset.originalValue = String(mm);
+  el.dataset.originalUnit  = CANONICAL_LENGTH;
+  el.value = Number(convert(mm, CANONICAL_LENGTH, unit)).toFixed(3);
+}
+
+/** Gather the nominal engine parameters (lengths in canonical mm) */
+function readCalcParams(){
+  const glandType = readGlandType();
+  const type = GLAND_TYPES[glandType];
+  const gw = readLength("glandWidth");
+  const angle = type.fixedAngle ?? Number(document.getElementById("glandAngle").value);
+  const triangular = glandType === "triangular";
+
+  return {
+    glandType,
+    cs: readLength("oringCS"),
+    id: readLength("oringID"),
+    gw,
+    gd: triangular ? triangularDepth(gw, angle) : readLength("glandDepth"),
+    angle,
+    rTop: readLength("glandTopR"),
+    rBottom: triangular ? 0 : readLength("glandBottomR"),
+    gap: readLength("gap"),
+    centerline: readLength("glandCenterline"),
+    alpha: Number(document.getElementById("alpha").value) || ALPHA_DEFAULT,
+    alphaTable: readMaterial()?.alphaTable || null,
+    housingAlpha: readHousingAlpha(),
+    swellPct: readMediaInfo().swellPct,
+    hardness: Number(document.getElementById("oringHardness").value) || null
+  };
+}
+
+/** Selected pressure unit ("bar" | "psi" | "MPa") */
+function readPressureUnit(){
+  const v = document.getElementById("pressureUnit")?.value;
+  return PRESSURE_TO_MPA[v] ? v : PRESSURE_UNIT_DEFAULT;
+}
+
+/** Operating pressure in canonical MPa (NaN when empty) */
+function readPressureMPa(){
+  const v = readOrig("pressure");
+  return Number.isFinite(v) ? convert(v, readPressureUnit(), "MPa") : NaN;
+}
+
+/** Design life in hours (NaN when empty) */
+function readDesignLifeHours(){
+  const v = readOrig("designLife");
+  const u = document.getElementById("designLifeUnit")?.value === "h" ? "h" : LIFE_UNIT_DEFAULT;
+  return Number.isFinite(v) ? convert(v, u, "h") : NaN;
+}
+
+/** Gather ± tolerances keyed like the engine params (lengths in mm; blank/invalid → 0) */
+function readTolerances(){
+  const tols = {};
+  const hidden = GLAND_TYPES[readGlandType()].hidden;
+  TOLERANCE_FIELDS.forEach(f => {
+    if (hidden.includes(f.id)) { tols[f.key] = 0; return; }
+    const t = isAsTypedId(f.tolId)
+      ? Number(document.getElementById(f.tolId)?.value)
+      : readLength(f.tolId);
+    tols[f.key] = Number.isFinite(t) ? Math.abs(t) : 0;
+  });
+  return tols;
+}
+
 /** Read a temperature field's original value in °C (originals are canonical °C) */
 function readTempC(id){
   const inp=document.getElementById(id);
@@ -756,6 +3255,32 @@ function readTempC(id){
 }
 
 
+/**
+ * Temperature cases in canonical °C: ambient first, then the unique entered
+ * Min/Nominal/Max sorted ascending. Missing entries are NaN.
+ */
+function readOperatingTemps(){
+  const min = readTempC("tempMin");
+  const nom = readTempC("tempNom");
+  const max = readTempC("tempMax");
+
+  const entered = [min, nom, max].filter(Number.isFinite);
+  const uniqSorted = [...new Set(entered)].sort((a,b)=>a-b);
+
+  return { temps: [AMBIENT, ...uniqSorted], min, nom, max };
+}
+
+/** Map calculation entries to the card cases (ambient / min / nominal / max) */
+function buildTempMeta(out, cases){
+  const meta = {};
+  const at = t => out.temperatureResults.find(e => e.tempC === t);
+  meta.ambient = out.temperatureResults[0];
+  if (Number.isFinite(cases.min)) meta.min     = at(cases.min);
+  if (Number.isFinite(cases.nom)) meta.nominal = at(cases.nom);
+  if (Number.isFinite(cases.max)) meta.max     = at(cases.max);
+  return meta;
+}
+
 /* =====================================================================================
    WARNINGS (RED) & ALERTS (AMBER) BANNERS — renderers
    ===================================================================================== */
@@ -800,58 +3325,396 @@ function collectPrecalcWarnings() {
 
   // All mandatory numeric fields must be valid
   const invalids = [];
-  mandatoryFields.forEach(id => {
+  activeMandatoryFields().forEach(id => {
     if (id === "oringMaterialGroup") return;
     const el = document.getElementById(id);
     if (!isValidNumberField(el)) invalids.push(id);
   });
   if (invalids.length) issues.push("Missing/invalid mandatory numbers.");
 
+  // Profile must be buildable (radii fit, boundary does not cross itself)
+  if (!invalids.length) {
+    validateGlandGeometry(readCalcParams())
+      .forEach(m => issues.push(`Invalid gland geometry: ${m}`));
+  }
+
+  // Custom housing material without a CTE
+  if (!Number.isFinite(readHousingAlpha())) issues.push("Missing custom housing CTE.");
+
+  if (readPressureMPa() < 0) issues.push("Operating pressure cannot be negative.");
+  if (readOrig("mediaSwell") <= -100) issues.push("Measured volume swell must be greater than -100%.");
+  if (readDesignLifeHours() < 0) issues.push("Design life cannot be negative.");
+
   return issues;
 }
 
-/** Nominal compression outside 15–25% band (RED warning) */
-function collectNominalCompressionWarning(nominalEntry) {
+/** Nominal compression outside the profile's band, e.g. 15–25% (RED warning) */
+function collectNominalCompressionWarning(nominalEntry, limits) {
   if (!nominalEntry) return [];
   const c = nominalEntry.compressionPct;
-  return (c >= 15 && c <= 25) ? [] : [`Nominal compression ${c.toFixed(2)}% is outside the 15-25% band.`];
+  const { compMin, compMax } = limits;
+  return (c >= compMin && c <= compMax) ? [] : [`Nominal compression ${c.toFixed(2)}% is outside the ${compMin}-${compMax}% band.`];
 }
 
+/**
+ * Model findings: AMBER when the simplified area model would flip the fill verdict
+ * at any temperature (fill scales with 1/area, so simplified fill = fill · exact/simplified).
+ */
+function collectGeometryFindings(geometry, out, limits) {
+  const amber = [];
+  const ratio = geometry.area / geometry.simplifiedArea;
+  out.temperatureResults.forEach(t => {
+    const simplified = t.glandFillPct * ratio;
+    if ((t.glandFillPct > limits.fillMax) !== (simplified > limits.fillMax))
+      amber.push(`Gland fill at ${t.tempC}°C is ${t.glandFillPct.toFixed(2)}% with exact geometry but ${simplified.toFixed(2)}% with the simplified model; the ${limits.fillMax}% verdict depends on the model.`);
+  });
+  return { red: [], amber };
+}
 
-/* =====================================================================================
-   AS568 LOADER + MODAL (parse, load, filter, select)
-   ===================================================================================== */
-
-function parseAs568Csv(text){
-  const t = text.replace(/^\uFEFF/,"").trim();
-  if (!t) return [];
+/** Retention findings: RED when the ring falls out or cannot be installed, AMBER near the edges */
+function collectRetentionFindings(ret) {
+  const red = [], amber = [];
+  if (!ret) return { red, amber };
+  const sq = ret.insertionSqueezePct;
+
+  if (!ret.undercut)
+    red.push(`Gland angle ≥ 90° gives no undercut; the O-ring is not retained.`);
+  else if (!ret.retained)
+    red.push(`O-ring will fall out: throat ${formatLength(ret.throat)} is not smaller than the cross-section.`);
+  else if (sq > RETENTION_LIMITS.damagePct)
+    red.push(`Insertion squeeze ${sq.toFixed(2)}% exceeds ${RETENTION_LIMITS.damagePct}%; the O-ring cannot be installed without damage.`);
+  else if (sq > RETENTION_LIMITS.highPct)
+    amber.push(`Insertion squeeze ${sq.toFixed(2)}% is high; installation may nick or twist the O-ring.`);
+  else if (sq < RETENTION_LIMITS.marginalPct)
+    amber.push(`Retention is marginal (insertion squeeze ${sq.toFixed(2)}%); the O-ring may drop out during assembly.`);
+
+  return { red, amber };
+}
+
+/**
+ * Extrusion findings: RED when the diametral clearance exceeds the limit at any
+ * temperature (or the pressure is off the chart), AMBER above EXTRUSION_WARN_RATIO.
+ * Each message carries the recommended gap or backup-ring advice.
+ */
+function collectExtrusionFindings(ext) {
+  const red = [], amber = [];
+  if (!ext) return { red, amber };
+  const at = `${formatPressure(ext.pressureMPa)} and ${ext.hardness} Shore A${ext.assumedHardness ? " (assumed)" : ""}`;
+  const w = ext.worst;
+
+  if (ext.limit == null)
+    red.push(`Extrusion: ${at} is beyond the extrusion-limit curve; fit a backup ring or use a harder compound.`);
+  else if (w.ratio > 1)
+    red.push(`Extrusion: diametral clearance ${formatLength(w.diametral)} at ${formatTempDisplay(w.tempC)} exceeds the ${formatLength(ext.limit)} limit at ${at}; reduce the gap to ≤ ${formatLength(ext.maxGap)} or fit a backup ring.`);
+  else if (w.ratio > EXTRUSION_WARN_RATIO)
+    amber.push(`Extrusion: diametral clearance ${formatLength(w.diametral)} at ${formatTempDisplay(w.tempC)} is ${(w.ratio*100).toFixed(0)}% of the ${formatLength(ext.limit)} limit at ${at}; keep the gap ≤ ${formatLength(ext.maxGap)}.`);
+
+  return { red, amber };
+}
+
+/**
+ * Seal-life findings: AMBER when aging takes the squeeze below the rule minimum
+ * within the design life, or when a design life is set but the family has no aging data.
+ */
+function collectSealLifeFindings(life) {
+  const amber = [];
+  if (life?.noAgingData) {
+    if (life.designHours) amber.push(`Seal life: no compression-set aging data for ${life.family}; the ${formatHours(life.designHours)} design life was not checked.`);
+    return { red: [], amber };
+  }
+  if (!life || !life.atLife) return { red: [], amber };
+  if (life.atLife.squeezePct < life.minSqueezePct)
+    amber.push(`Seal life: after ${formatHours(life.designHours)} at ${formatTempDisplay(life.tempC)}, compression set (${life.atLife.setPct.toFixed(1)}%) leaves ${life.atLife.squeezePct.toFixed(2)}% squeeze, below the ${life.minSqueezePct}% minimum (reached after ${formatHours(life.hoursToLimit)}).`);
+  return { red: [], amber };
+}
 
-  const lines = t.split(/\r?\n/);
-  const headerLine = lines.shift();
-  const header = (headerLine || "").split(",").map(h => h.trim().toLowerCase());
+/**
+ * Material temperature findings for every entered operating temperature:
+ * RED above the short-excursion limit or below the brittleness point,
+ * AMBER above continuous service (excursions only), below the service minimum,
+ * or below TR-10. One message per temperature, the most severe.
+ */
+function collectMaterialTempFindings(lim, cases) {
+  const red = [], amber = [];
+  if (!lim) return { red, amber };
+  const material = lim.label;
+
+  [["Min", cases.min], ["Nominal", cases.nom], ["Max", cases.max]].forEach(([name, t]) => {
+    if (!Number.isFinite(t)) return;
+    const at = `${name} operating temperature ${formatTempDisplay(t)}`;
+    if (t > lim.excMaxC)
+      red.push(`${at} exceeds the ${formatTempDisplay(lim.excMaxC)} short-excursion limit of ${material}.`);
+    else if (t < lim.brittleC)
+      red.push(`${at} is below the ${formatTempDisplay(lim.brittleC)} brittleness point of ${material}; the ring can crack.`);
+    else if (t > lim.maxC)
+      amber.push(`${at} is above ${material}'s ${formatTempDisplay(lim.maxC)} continuous service limit; acceptable for short excursions only.`);
+    else if (t < lim.minC)
+      amber.push(`${at} is below ${material}'s ${formatTempDisplay(lim.minC)} service minimum; the ring is too stiff to follow the gland.`);
+    else if (t < lim.tr10C)
+      amber.push(`${at} is below the TR-10 of ${material} (${formatTempDisplay(lim.tr10C)}); static sealing only, with slow recovery.`);
+  });
+  return { red, amber };
+}
 
-  const find = (arr)=> arr.map(k=>header.indexOf(k)).find(i=>i!==-1);
-  const iDash = find(["dash","dash size"]);
-  const iCS   = find(["cs","o-ring cross section size","o-ring cross section"]);
-  const iID   = find(["id","o-ring internal diameter size","o-ring internal diameter"]);
+/**
+ * Media findings: RED for an incompatible (X) pair or a swollen ring that no longer
+ * fits (fill > 100%), AMBER for a doubtful (C) pair.
+ */
+function collectMediaFindings(media, out) {
+  const red = [], amber = [];
+  if (media.rating === "X")
+    red.push(`${media.material} is rated incompatible (X) with ${media.label}.`);
+  else if (media.rating === "C")
+    amber.push(`${media.material} is rated doubtful (C) with ${media.label}; confirm with the compound supplier.`);
+
+  if (out.swellPct > 0) {
+    out.temperatureResults.forEach(t => {
+      if (t.glandFillPct > 100)
+        red.push(`Swollen gland fill at ${t.tempC}°C is ${t.glandFillPct.toFixed(2)}% (> 100%); the ring will not fit the gland.`);
+    });
+  }
+  return { red, amber };
+}
 
-  const rows = [];
+/**
+ * Every RED/AMBER finding of a calculation (nominal first, then tolerance extremes,
+ * then the other checks). Built from the raw results each time it is shown, never
+ * cached as text, so lengths, pressures and times follow the current display units.
+ * `r` is runCalculation's result set (see _lastRender).
+ */
+function collectFindings(r) {
+  const { out, meta, stack, params, limits, cases, material, media, retention, extrusion, life, geometry } = r;
+  const red = [
+    ...evaluateWarnings(out, limits),
+    ...collectNominalCompressionWarning(meta.nominal, limits)
+  ];
+  const amber = evaluateAmbers(out, meta, params, limits);
+
+  // Tolerance findings skip what the nominal rules above already raised
+  const tol = collectToleranceFindings(stack, meta, params, red, amber, limits);
+  [
+    tol,
+    collectMaterialTempFindings(material, cases),
+    collectMediaFindings(media, out),
+    collectRetentionFindings(retention),
+    collectExtrusionFindings(extrusion),
+    collectSealLifeFindings(life),
+    collectGeometryFindings(geometry, out, limits)
+  ].forEach(f => { red.push(...f.red); amber.push(...f.amber); });
+  return { red, amber };
+}
+
+/**
+ * Re-run the RED/AMBER rules at the worst-case tolerance extremes.
+ * Only findings that the nominal evaluation did not already raise are returned,
+ * tagged with the bound (low/high) that produced them.
+ */
+function collectToleranceFindings(stack, meta, params, nominalRed, nominalAmber, limits) {
+  const red = new Set(), amber = new Set();
+  if (!stack || !stack.toleranced.length) return { red: [], amber: [] };
+
+  [["wcMin","low"], ["wcMax","high"]].forEach(([bound, tag]) => {
+    const out = stackupExtremeOut(stack, bound);
+    const nominal = meta.nominal
+      ? out.temperatureResults.find(e => e.tempC === meta.nominal.tempC)
+      : null;
+
+    evaluateWarnings(out, limits).forEach(m => {
+      if (!nominalRed.includes(m)) red.add(`Worst-case tolerance (${tag}): ${m}`);
+    });
+    evaluateAmbers(out, { nominal }, params, limits).forEach(m => {
+      if (!nominalAmber.includes(m)) amber.add(`Worst-case tolerance (${tag}): ${m}`);
+    });
+  });
+
+  return { red: [...red], amber: [...amber] };
+}
 
-  for (const line of lines){
-    if (!line.trim()) continue;
-    const cols = line.split(",").map(v=>v.trim());
-    if (cols.length <= Math.max(iDash, iCS, iID)) continue;
 
-    const dash = cols[iDash];
-    const cs = Number(cols[iCS]);
-    const id = Number(cols[iID]);
-    if (!dash || !Number.isFinite(cs) || !Number.isFinite(id)) continue;
+/* =====================================================================================
+   AS568 LOADER + MODAL (parse, load, filter, select)
+   ===================================================================================== */
+
+/**
+ * Split delimited text into records of trimmed fields. Handles quoted fields,
+ * doubled quotes and delimiters/newlines inside quotes; each record keeps its
+ * 1-based source line for the import report.
+ */
+function splitDelimited(text, delim){
+  const records = [];
+  let field = "", fields = [], quoted = false, line = 1, startLine = 1;
+
+  const endField = () => { fields.push(field.trim()); field = ""; };
+  const endRecord = () => {
+    endField();
+    if (fields.some(f => f !== "")) records.push({ line: startLine, fields });
+    fields = [];
+    startLine = line;
+  };
 
-    rows.push({ dash, cs, id });
+  for (let i = 0; i < text.length; i++){
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i+1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === "\n") line++; field += ch; }
+    } else if (ch === '"' && field.trim() === "") {
+      quoted = true;
+      field = "";
+    } else if (ch === delim) {
+      endField();
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i+1] === "\n") i++;
+      line++;
+      endRecord();
+    } else {
+      field += ch;
+    }
   }
+  endRecord();
+  return records;
+}
 
-  rows.sort((a,b)=> (a.dash||"").localeCompare((b.dash||""), "en", {numeric:true}));
-  return rows;
+/** Tab, semicolon or comma — whichever appears most in the header (outside quotes) */
+function detectDelimiter(text){
+  const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, "");
+  const counts = ["\t", ";", ","].map(d => [d, header.split(d).length - 1]);
+  const best = counts.reduce((a, b) => (b[1] > a[1] ? b : a));
+  return best[1] > 0 ? best[0] : ",";
+}
+
+/** Header cell → lower-case words without units: "O-Ring CS (mm)" → "o ring cs" */
+function normalizeHeader(h){
+  return String(h).toLowerCase()
+    .replace(/[([][^)\]]*[)\]]/g, " ")
+    .replace(/[^a-z0-9±]+/g, " ")
+    .trim();
+}
+
+/**
+ * Catalog number: accepts a decimal comma, a trailing unit ("mm", "in", ")
+ * and a leading ± on tolerances. NaN when it isn't a plain number.
+ */
+function parseCatalogNumber(str){
+  let t = String(str ?? "").trim().replace(/^±\s*/, "").replace(/\s*(mm|in|inch|")$/i, "");
+  if (/^-?\d+,\d+$/.test(t)) t = t.replace(",", ".");
+  return (t === "" || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(t)) ? NaN : Number(t);
+}
+
+/** Header spellings per catalog column (compared after normalizeHeader) */
+const CATALOG_COLUMNS = {
+  dash:     ["dash","dash size","dash no","code","size code","size","size no","ref","reference"],
+  standard: ["standard","series"],
+  cs:       ["cs","w","d2","cross section","cross section size","o ring cross section","o ring cross section size","section","o ring cs","cord"],
+  id:       ["id","d1","inside diameter","inner diameter","internal diameter","o ring internal diameter","o ring internal diameter size","o ring id","bore"],
+  csTol:    ["cs tol","cs tolerance","w tol","d2 tol","cross section tolerance","± cs"],
+  idTol:    ["id tol","id tolerance","d1 tol","inside diameter tolerance","internal diameter tolerance","± id"],
+  material: ["material","compound","elastomer"],
+  partNo:   ["part no","part number","part","pn","p n","item","article","sku"]
+};
+
+/**
+ * Identity of a catalog row: vendor catalogs list one size several times under
+ * different part numbers or materials, so those are kept as separate rows.
+ */
+function catalogRowKey(r){
+  return [r.standard, r.dash, r.partNo, r.material].map(v => v || "").join("\u0000").toLowerCase();
+}
+
+/**
+ * Parse a size catalog (CSV/TSV; bundled series use the same reader).
+ * Returns { rows, skipped, warnings, unit, error }; skipped/warnings are
+ * [{ line, reason }] (a warning keeps the row). `unit` is "mm"/"in"
+ * when the CS/ID headers say so, else null. Rows keep the source values; the
+ * importer decides the unit. A row repeating another's code, part number and
+ * material is skipped, not overwritten (see catalogRowKey).
+ */
+function parseSizeCatalog(text){
+  const t = String(text || "").replace(/^\uFEFF/, "");
+  const out = { rows: [], skipped: [], warnings: [], unit: null, error: null };
+  if (!t.trim()) { out.error = "The file is empty."; return out; }
+
+  const records = splitDelimited(t, detectDelimiter(t));
+  const head = records.shift();
+  if (!head) { out.error = "The file is empty."; return out; }
+  const rawHeader = head.fields.map(h => h.toLowerCase());
+  const header = head.fields.map(normalizeHeader);
+
+  const col = {};
+  Object.entries(CATALOG_COLUMNS).forEach(([key, names]) => {
+    const i = header.findIndex(h => names.includes(h));
+    if (i !== -1) col[key] = i;
+  });
+  const missing = ["dash","cs","id"].filter(k => col[k] === undefined);
+  if (missing.length) {
+    const names = { dash: "size code", cs: "cross section (CS)", id: "inside diameter (ID)" };
+    out.error = `Missing ${missing.map(k => names[k]).join(", ")} column${missing.length === 1 ? "" : "s"} in the header.`;
+    return out;
+  }
+
+  const unitHint = [col.cs, col.id].map(i => rawHeader[i]).join(" ");
+  if (/\(\s*mm\s*\)|\[\s*mm\s*\]/.test(unitHint)) out.unit = "mm";
+  else if (/\(\s*(in|inch|inches)\s*\)|\[\s*(in|inch)\s*\]/.test(unitHint)) out.unit = "in";
+
+  const seen = new Map();
+  const need = Math.max(col.dash, col.cs, col.id);
+  for (const { line, fields } of records){
+    const skip = (reason) => out.skipped.push({ line, reason });
+    if (fields.length <= need) { skip(`only ${fields.length} column${fields.length === 1 ? "" : "s"}`); continue; }
+
+    const dash = fields[col.dash];
+    const cs = parseCatalogNumber(fields[col.cs]);
+    const id = parseCatalogNumber(fields[col.id]);
+    if (!dash) { skip("missing size code"); continue; }
+    if (!Number.isFinite(cs) || cs <= 0) { skip(`CS "${fields[col.cs]}" is not a positive number`); continue; }
+    if (!Number.isFinite(id) || id <= 0) { skip(`ID "${fields[col.id]}" is not a positive number`); continue; }
+
+    const row = { dash, cs, id };
+    if (col.standard !== undefined && fields[col.standard]) row.standard = fields[col.standard];
+    for (const k of ["csTol","idTol"]) {
+      const raw = fields[col[k]];
+      if (col[k] === undefined || !raw) continue;
+      const v = parseCatalogNumber(raw);
+      if (Number.isFinite(v) && v >= 0) row[k] = v;
+      else out.warnings.push({ line, reason: `${k === "csTol" ? "CS" : "ID"} tolerance "${raw}" ignored` });
+    }
+    if (col.material !== undefined && fields[col.material]) row.material = fields[col.material];
+    if (col.partNo !== undefined && fields[col.partNo]) row.partNo = fields[col.partNo];
+
+    const key = catalogRowKey(row);
+    if (seen.has(key)) { skip(`duplicate of size ${dash}${row.partNo ? ` (${row.partNo})` : ""} on line ${seen.get(key)}`); continue; }
+    seen.set(key, line);
+    out.rows.push(row);
+  }
+
+  out.rows.sort((a,b)=> (a.dash||"").localeCompare((b.dash||""), "en", {numeric:true}));
+  return out;
+}
+
+/** Bundled series tables (header spellings as in data/*.csv) */
+function parseAs568Csv(text){
+  return parseSizeCatalog(text).rows;
+}
+
+/**
+ * Imported catalogs live in localStorage as { name: { unit, rows, source, updated } };
+ * rows keep the catalog's own unit and are converted when listed.
+ */
+const CATALOG_LS_KEY = "gland_size_catalogs_v1";
+const CATALOG_REPORT_MAX = 25;   // skipped-row lines listed before "… and N more"
+
+function loadSizeCatalogs(){
+  try {
+    const data = JSON.parse(localStorage.getItem(CATALOG_LS_KEY) || "{}");
+    return (data && typeof data === "object") ? data : {};
+  } catch (e) {
+    console.warn("Failed to parse size catalogs:", e);
+    return {};
+  }
+}
+
+function saveSizeCatalogs(cats){
+  localStorage.setItem(CATALOG_LS_KEY, JSON.stringify(cats));
 }
 
 async function loadAs568Csv(url, isMM){
@@ -868,163 +3731,1719 @@ async function loadAs568Data(){
   return (unit === "mm") ? as568DataMM : as568DataIN;
 }
 
-function renderAs568Table(){
-  const tbody=document.getElementById("as568Tbody");
-  if (!tbody) return;
+/** True for a built-in series key or "cat:<name>" of a stored catalog */
+function isSizeSeries(key){
+  if (SIZE_SERIES[key]) return true;
+  return !!key && key.startsWith("cat:") && !!loadSizeCatalogs()[key.slice(4)];
+}
+
+/** Selected series key in the size picker */
+function readSizeSeries(){
+  const v = document.getElementById("sizeSeries")?.value;
+  return isSizeSeries(v) ? v : SIZE_SERIES_DEFAULT;
+}
+
+/** Standard shown for rows without their own column (catalogs use their name) */
+function seriesStandard(key){
+  return SIZE_SERIES[key]?.standard ?? key.slice(4);
+}
+
+/**
+ * Fill the series selector: built-ins, then imported catalogs. Selects `selected`,
+ * else keeps the current choice. Built before session restore so it is kept.
+ */
+function buildSizeSeriesOptions(selected){
+  const sel = document.getElementById("sizeSeries");
+  if (!sel) return;
+  const current = selected ?? sel.value;
+  const names = Object.keys(loadSizeCatalogs()).sort();
+
+  sel.innerHTML = Object.entries(SIZE_SERIES)
+    .map(([k, s]) => `<option value="${k}">${s.label}</option>`).join("")
+    + (names.length
+      ? `<optgroup label="Imported catalogs">${names.map(n => `<option value="cat:${escapeHtml(n)}">${escapeHtml(n)}</option>`).join("")}</optgroup>`
+      : "");
+  sel.value = isSizeSeries(current) ? current : SIZE_SERIES_DEFAULT;
+}
+
+/** Rows from `src` into the display unit, keeping the exact mm for the pick */
+function sizeRowsInUnit(rows, src){
+  if (src === unit) return rows;
+  const conv = v => Number(convert(v, src, unit).toFixed(4));
+  const toMm = v => convert(v, src, CANONICAL_LENGTH);
+  return rows.map(r => ({
+    ...r,
+    csMm: toMm(r.cs), idMm: toMm(r.id),
+    cs: conv(r.cs), id: conv(r.id),
+    ...(r.csTol !== undefined ? { csTol: conv(r.csTol), csTolMm: toMm(r.csTol) } : {}),
+    ...(r.idTol !== undefined ? { idTol: conv(r.idTol), idTolMm: toMm(r.idTol) } : {})
+  }));
+}
+
+/**
+ * Rows of a series in the display unit. AS568 shares the suggestion caches;
+ * mm-only series and catalogs in the other unit are converted.
+ */
+async function loadSizeSeries(key){
+  if (key === "as568") return loadAs568Data();
+
+  if (key.startsWith("cat:")) {
+    const cat = loadSizeCatalogs()[key.slice(4)];
+    return cat ? sizeRowsInUnit(cat.rows, cat.unit) : [];
+  }
+
+  const series = SIZE_SERIES[key];
+  const src = series.files[unit] ? unit : "mm";
+  const cacheKey = `${key}:${src}`;
+  if (!sizeSeriesCache[cacheKey]) {
+    const resp = await fetch(series.files[src], { cache:"no-store" });
+    sizeSeriesCache[cacheKey] = parseAs568Csv(await resp.text());
+  }
+  return sizeRowsInUnit(sizeSeriesCache[cacheKey], src);
+}
+
+/** "AS568-214", "JIS B 2401-1 P10", "Supplier X 2-214 (P/N 12345)" */
+function describeSizeRef(ref){
+  if (!ref) return "";
+  const base = ref.standard === "AS568" ? `AS568-${ref.code}` : `${ref.standard} ${ref.code}`;
+  return ref.partNo ? `${base} (P/N ${ref.partNo})` : base;
+}
+
+/** Picked size shown under the O-ring fields (printed with the form) */
+function renderOringSizeNote(){
+  const note = document.getElementById("oringSizeNote");
+  if (!note) return;
+  note.textContent = oringSizeRef ? `Size: ${describeSizeRef(oringSizeRef)}` : "";
+  note.style.display = oringSizeRef ? "block" : "none";
+}
+
+/** Target ID/CS (display unit) for the nearest-fit ranking; NaN when blank */
+function readAs568Targets(){
+  const val = id => {
+    const raw = document.getElementById(id)?.value;
+    const v = (raw === undefined || raw === "") ? NaN : Number(raw);
+    return v > 0 ? v : NaN;
+  };
+  return { id: val("as568TargetID"), cs: val("as568TargetCS") };
+}
+
+/** Relative distance to the targets (sum over the ones given); null without targets */
+function sizeTargetDistance(row, targets){
+  const parts = ["id","cs"].filter(k => Number.isFinite(targets[k]))
+    .map(k => Math.abs(row[k] - targets[k]) / targets[k]);
+  return parts.length ? parts.reduce((a, b) => a + b, 0) : null;
+}
+
+/** Sort accessors per table column (data-sort on the headers) */
+const AS568_SORT_KEYS = {
+  standard: r => r.standard || "",
+  dash:     r => r.dash || "",
+  cs:       r => r.cs,
+  csTol:    r => r.csTol ?? Infinity,
+  id:       r => r.id,
+  idTol:    r => r.idTol ?? Infinity,
+  part:     r => [r.partNo, r.material].filter(Boolean).join(" "),
+  near:     r => r._near ?? Infinity
+};
+
+/** Column the table is ordered by: the clicked one, else "near" when a target is set */
+function activeAs568Sort(targets){
+  if (as568Sort.key) return as568Sort.key;
+  return (Number.isFinite(targets.id) || Number.isFinite(targets.cs)) ? "near" : null;
+}
+
+/** Signed deviation from the targets, e.g. "ID −0.012 · CS +0.001" */
+function formatTargetDelta(row, targets){
+  const fmt = v => `${v < 0 ? "−" : "+"}${Math.abs(v).toFixed(unit === "mm" ? 2 : 3)}`;
+  return ["id","cs"].filter(k => Number.isFinite(targets[k]))
+    .map(k => `${k.toUpperCase()} ${fmt(row[k] - targets[k])}`).join(" · ");
+}
+
+function renderAs568Table(){
+  const tbody=document.getElementById("as568Tbody");
+  if (!tbody) return;
+
+  tbody.innerHTML="";
+  as568SelectedIndex=-1;
+
+  const addBtn = document.getElementById("as568AddBtn");
+  if (addBtn) addBtn.disabled=true;
+
+  const targets = readAs568Targets();
+  const sortKey = activeAs568Sort(targets);
+  document.querySelectorAll("#as568Modal th[data-sort]").forEach(th => {
+    th.classList.toggle("sorted-asc",  th.dataset.sort === sortKey && as568Sort.dir > 0);
+    th.classList.toggle("sorted-desc", th.dataset.sort === sortKey && as568Sort.dir < 0);
+  });
+
+  const tol = v => (v === undefined ? "—" : v);
+  as568Filtered.forEach((row, idx)=>{
+    const tr=document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(row.standard || seriesStandard(readSizeSeries()))}</td>
+      <td>${escapeHtml(row.dash)}</td>
+      <td>${row.cs}</td>
+      <td>${tol(row.csTol)}</td>
+      <td>${row.id}</td>
+      <td>${tol(row.idTol)}</td>
+      <td>${escapeHtml([row.partNo, row.material].filter(Boolean).join(" · "))}</td>
+      <td>${formatTargetDelta(row, targets)}</td>
+    `;
+    tr.addEventListener("click", ()=> selectAs568Row(idx));
+    tr.addEventListener("dblclick", ()=> { selectAs568Row(idx); applyAs568Selection(); });
+    tbody.appendChild(tr);
+  });
+}
+
+/** Highlight a row (clamped to the list), scroll it into view and enable "Add Selected" */
+function selectAs568Row(index){
+  const tbody = document.getElementById("as568Tbody");
+  if (!tbody || !as568Filtered.length) return;
+  const idx = Math.max(0, Math.min(as568Filtered.length - 1, index));
+  const trs = tbody.querySelectorAll("tr");
+  trs.forEach((r, i) => r.classList.toggle("selected", i === idx));
+  trs[idx]?.scrollIntoView?.({ block: "nearest" });
+  as568SelectedIndex = idx;
+  const addBtn = document.getElementById("as568AddBtn");
+  if (addBtn) addBtn.disabled = false;
+}
+
+/**
+ * Text filter, then order: the clicked column, else nearest to the target
+ * ID/CS when one is given, else catalog order.
+ */
+function filterAs568Table(query){
+  const q = query.toLowerCase().trim();
+  const targets = readAs568Targets();
+  as568Filtered = as568Data.filter(r =>
+    (r.dash || "").toLowerCase().includes(q) ||
+    (r.standard || "").toLowerCase().includes(q) ||
+    (r.partNo || "").toLowerCase().includes(q) ||
+    (r.material || "").toLowerCase().includes(q) ||
+    String(r.cs).includes(q) ||
+    String(r.id).includes(q)
+  ).map(r => ({ ...r, _near: sizeTargetDistance(r, targets) }));
+
+  const sortKey = activeAs568Sort(targets);
+  if (sortKey) {
+    const get = AS568_SORT_KEYS[sortKey];
+    const dir = as568Sort.key ? as568Sort.dir : 1;
+    as568Filtered.sort((a, b) => {
+      const x = get(a), y = get(b);
+      const c = (typeof x === "string")
+        ? x.localeCompare(y, "en", { numeric: true })
+        : (x === y ? 0 : (x < y ? -1 : 1));
+      return c * dir;
+    });
+  }
+  renderAs568Table();
+}
+
+/** Re-run the filter with the current search text (targets/sort changed) */
+function refreshAs568Table(){
+  filterAs568Table(document.getElementById("as568Search")?.value || "");
+}
+
+/** Header click: sort by that column, toggling direction on repeat clicks */
+function sortAs568Table(key){
+  if (as568Sort.key === key) as568Sort.dir = -as568Sort.dir;
+  else as568Sort = { key, dir: 1 };
+  refreshAs568Table();
+}
+
+/** A new target returns to nearest-first ranking */
+function onAs568TargetInput(){
+  as568Sort = { key: null, dir: 1 };
+  refreshAs568Table();
+}
+
+/** Arrow keys/Page keys move the selection, Enter applies it (number inputs keep their arrows) */
+function onAs568Keydown(e){
+  const modal = document.getElementById("as568Modal");
+  if (!modal || modal.style.display === "none") return;
+  if (e.target.type === "number" && (e.key === "ArrowUp" || e.key === "ArrowDown")) return;
+  if (e.target.closest && e.target.closest("#catalogImport")) return;
+
+  const inText = e.target.tagName === "INPUT" || e.target.tagName === "SELECT";
+  const cur = as568SelectedIndex;
+  const moves = {
+    ArrowDown: cur + 1,
+    ArrowUp:   cur < 0 ? 0 : cur - 1,
+    PageDown:  cur + 10,
+    PageUp:    cur - 10,
+    ...(inText ? {} : { Home: 0, End: as568Filtered.length - 1 })
+  };
+
+  if (e.key in moves) {
+    e.preventDefault();
+    selectAs568Row(moves[e.key]);
+  } else if (e.key === "Enter" && as568SelectedIndex >= 0) {
+    e.preventDefault();
+    applyAs568Selection();
+  }
+}
+
+async function openAs568Modal(){
+  const search=document.getElementById("as568Search");
+  if (search) search.value="";
+  ["as568TargetID","as568TargetCS"].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = "";
+  });
+  as568Sort = { key: null, dir: 1 };
+
+  buildSizeSeriesOptions();
+  await changeSizeSeries();
+
+  const modal = document.getElementById("as568Modal");
+  if (modal) modal.style.display="block";
+  search?.focus();
+}
+
+/** Series changed in the picker: reload the table, keeping the search text */
+async function changeSizeSeries(){
+  const key = readSizeSeries();
+  const delBtn = document.getElementById("catalogDeleteBtn");
+  if (delBtn) delBtn.disabled = !key.startsWith("cat:");
+
+  as568Data = await loadSizeSeries(key);
+  refreshAs568Table();
+}
+
+function closeAs568Modal(){
+  const modal = document.getElementById("as568Modal");
+  if (modal) modal.style.display="none";
+  cancelCatalogImport();
+}
+
+/** Parsed file waiting for a name/unit in the import panel */
+let _catalogPending = null;
+let _catalogDeleted = null;   // { name, catalog } of the last delete, for Undo
+
+/** Read a chosen CSV/TSV file and show what will be imported */
+async function startCatalogImport(file){
+  _catalogPending = { ...parseSizeCatalog(await file.text()), fileName: file.name };
+
+  const name = document.getElementById("catalogName");
+  if (name) name.value = file.name.replace(/\.[^.]+$/, "");
+  const unitSel = document.getElementById("catalogUnit");
+  if (unitSel) unitSel.value = _catalogPending.unit || unit;
+
+  const panel = document.getElementById("catalogImport");
+  if (panel) panel.style.display = "flex";
+  const save = document.getElementById("catalogSaveBtn");
+  if (save) save.disabled = !!_catalogPending.error || !_catalogPending.rows.length;
+
+  const p = _catalogPending;
+  const head = p.error
+    ? `${p.fileName}: ${p.error}`
+    : `${p.fileName}: ${p.rows.length} size${p.rows.length === 1 ? "" : "s"} read` +
+      (p.unit ? ` (header says ${p.unit})` : "") +
+      (p.skipped.length ? `, ${p.skipped.length} row${p.skipped.length === 1 ? "" : "s"} skipped.` : ".");
+  renderCatalogReport(head, p);
+}
+
+/** Import summary, then each skipped row and warning with its reason */
+function renderCatalogReport(head, parsed){
+  const box = document.getElementById("catalogReport");
+  if (!box) return;
+  const lines = parsed
+    ? [
+        ...parsed.skipped.map(x => `Line ${x.line}: skipped — ${x.reason}`),
+        ...parsed.warnings.map(x => `Line ${x.line}: ${x.reason}`)
+      ]
+    : [];
+  const shown = lines.slice(0, CATALOG_REPORT_MAX);
+  if (lines.length > shown.length) shown.push(`… and ${lines.length - shown.length} more`);
+  box.innerHTML = [head, ...shown].map(escapeHtml).join("<br>");
+  box.style.display = head ? "block" : "none";
+}
+
+/**
+ * Store the pending rows under the entered name. "merge" adds them to an existing
+ * catalog (same standard + code replaced, in that catalog's unit); "replace" overwrites.
+ */
+function saveCatalogImport(){
+  const p = _catalogPending;
+  if (!p || p.error) return;
+
+  const name = (document.getElementById("catalogName")?.value || "").trim();
+  if (!name) { renderCatalogReport("Enter a catalog name.", null); return; }
+  const srcUnit = document.getElementById("catalogUnit")?.value === "mm" ? "mm" : "in";
+  const merge = document.getElementById("catalogMode")?.value !== "replace";
+
+  const cats = loadSizeCatalogs();
+  const existing = merge ? cats[name] : null;
+  let rows = p.rows, catUnit = srcUnit;
+
+  if (existing) {
+    catUnit = existing.unit;
+    const conv = v => Number(convert(v, srcUnit, catUnit).toFixed(4));
+    const byKey = new Map(existing.rows.map(r => [catalogRowKey(r), r]));
+    p.rows.forEach(r => {
+      const c = { ...r, cs: conv(r.cs), id: conv(r.id) };
+      if (r.csTol !== undefined) c.csTol = conv(r.csTol);
+      if (r.idTol !== undefined) c.idTol = conv(r.idTol);
+      byKey.set(catalogRowKey(c), c);
+    });
+    rows = [...byKey.values()]
+      .sort((a,b)=> (a.dash||"").localeCompare((b.dash||""), "en", {numeric:true}));
+  }
+
+  cats[name] = { unit: catUnit, rows, source: p.fileName, updated: new Date().toISOString() };
+  try {
+    saveSizeCatalogs(cats);
+  } catch (e) {
+    renderCatalogReport("Browser storage is full — the catalog was not saved.", null);
+    return;
+  }
+
+  const head = existing
+    ? `Merged ${p.rows.length} size${p.rows.length === 1 ? "" : "s"} into "${name}" (${rows.length} total).`
+    : `Saved ${rows.length} size${rows.length === 1 ? "" : "s"} as "${name}" (${catUnit}).`;
+  cancelCatalogImport();
+  renderCatalogReport(head + (p.skipped.length ? ` Skipped ${p.skipped.length}:` : ""), p);
+
+  buildSizeSeriesOptions(`cat:${name}`);
+  changeSizeSeries();
+}
+
+function cancelCatalogImport(){
+  _catalogPending = null;
+  const panel = document.getElementById("catalogImport");
+  if (panel) panel.style.display = "none";
+  renderCatalogReport("", null);
+}
+
+/** Remove the selected imported catalog and fall back to the default series; offers Undo */
+function deleteSizeCatalog(){
+  const key = readSizeSeries();
+  if (!key.startsWith("cat:")) return;
+  const name = key.slice(4);
+  const cats = loadSizeCatalogs();
+  _catalogDeleted = { name, catalog: cats[name] };
+  delete cats[name];
+  saveSizeCatalogs(cats);
+  buildSizeSeriesOptions(SIZE_SERIES_DEFAULT);
+  changeSizeSeries();
+  renderCatalogReport(`Deleted catalog "${name}". `, null);
+  appendUndoButton("catalogReport", undoDeleteSizeCatalog);
+}
+
+/** Put the last deleted catalog back and select it */
+function undoDeleteSizeCatalog(){
+  const del = _catalogDeleted;
+  _catalogDeleted = null;
+  if (!del) return;
+  const cats = loadSizeCatalogs();
+  cats[del.name] = del.catalog;
+  saveSizeCatalogs(cats);
+  buildSizeSeriesOptions(`cat:${del.name}`);
+  changeSizeSeries();
+  renderCatalogReport(`Restored catalog "${del.name}".`, null);
+}
+
+function applyAs568Selection(){
+  if (as568SelectedIndex < 0) return;
+
+  const row = as568Filtered[as568SelectedIndex];
+  const key = readSizeSeries();
+
+  // Table rows are in the display unit (converted rows keep exact mm); originals are canonical mm
+  const ref = { series: key, standard: row.standard || seriesStandard(key), code: row.dash };
+  if (row.partNo) ref.partNo = row.partNo;
+  const mm = (exact, v) => exact ?? (v === undefined ? undefined : convert(v, unit, CANONICAL_LENGTH));
+  applyOringSize(
+    mm(row.csMm, row.cs),
+    mm(row.idMm, row.id),
+    ref,
+    { cs: mm(row.csTolMm, row.csTol), id: mm(row.idTolMm, row.idTol) }
+  );
+  closeAs568Modal();
+}
+
+/**
+ * Fill O-ring CS/ID (canonical mm) with the usual bookkeeping; `ref` names the
+ * standard size and `tolMm` { cs, id } fills the ± fields. The bundled series list
+ * both tolerances; an imported catalog row without one clears its field, so the
+ * previous size's ± is not carried over.
+ */
+function applyOringSize(csMm, idMm, ref = null, tolMm = null){
+  if (hasCalculated) resetResultsOnly();
+
+  oringSizeRef = ref;
+  renderOringSizeNote();
+
+  setLengthField("oringCS", csMm);
+  setLengthField("oringID", idMm);
+  [["oringCSTol", tolMm?.cs], ["oringIDTol", tolMm?.id]].forEach(([id, mm]) => {
+    if (Number.isFinite(mm)) { setLengthField(id, mm); return; }
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.value = "";
+    el.dataset.originalValue = "";
+    el.dataset.originalUnit  = "";
+  });
+
+  advisoryCheck("oringCS");
+  advisoryCheck("oringID");
+  checkMandatoryStatus();
+  saveSessionDebounced();
+  updateGlandInfoPanel();
+}
+
+
+/* =====================================================================================
+   RULE PROFILES (selector, active-profile note, editor modal)
+   ===================================================================================== */
+
+/** Fill the profile selector (built-ins, then stored profiles); keeps the current choice */
+function buildRuleProfileOptions(){
+  const sel = document.getElementById("ruleProfile");
+  if (!sel) return;
+  const current = sel.value;
+  const custom = Object.keys(loadCustomRuleProfiles()).sort();
+
+  sel.innerHTML = [
+    ...Object.keys(RULE_PRESETS).map(k => `<option value="${k}">${RULE_PRESETS[k].label}</option>`),
+    ...custom.map(n => `<option value="custom:${escapeHtml(n)}">${escapeHtml(n)}</option>`)
+  ].join("");
+  sel.value = [...sel.options].some(o => o.value === current) ? current : RULE_PROFILE_DEFAULT;
+}
+
+/** Active profile summary above the result cards (printed with the report) */
+function renderRulesNote(profile, limits){
+  const box = document.getElementById("rulesNote");
+  if (!box) return;
+  box.textContent = profile ? `Design rules — ${describeRules(profile, limits)}` : "";
+  box.style.display = profile ? "block" : "none";
+}
+
+/** Editor: start from the selected profile's resolved values */
+function openRulesModal(){
+  const modal = document.getElementById("rulesModal");
+  if (!modal) return;
+  const key = readRuleProfile();
+  fillRulesEditor(key, readRules());
+  modal.style.display = "block";
+}
+
+function closeRulesModal(){
+  const modal = document.getElementById("rulesModal");
+  if (modal) modal.style.display = "none";
+}
+
+function fillRulesEditor(key, rules){
+  const body = document.getElementById("rulesBody");
+  if (!body) return;
+  const isCustom = key.startsWith("custom:");
+  body.innerHTML = `
+    <p class="modal-note">Editing a copy of <b>${escapeHtml(ruleProfileLabel(key))}</b>. Built-in profiles are read-only; save under a new name to keep changes.</p>
+    <table class="modal-table rules-table">
+      <tbody>
+        ${RULE_FIELDS.map(f => `
+          <tr><td>${f.label}</td>
+              <td><input class="rule-input" id="rule_${f.key}" type="number" step="0.5" value="${rules[f.key]}"> %</td></tr>`).join("")}
+      </tbody>
+    </table>
+    <label class="rules-name">Profile name
+      <input id="ruleProfileName" type="text" value="${isCustom ? escapeHtml(key.slice(7)) : ""}" placeholder="e.g. Customer X vacuum">
+    </label>
+    <div id="rulesErrors" class="oob"></div>
+  `;
+  const del = document.getElementById("rulesDeleteBtn");
+  if (del) del.disabled = !isCustom;
+}
+
+/** Save the editor values as a user profile and make it active */
+function saveRulesProfile(){
+  const errBox = document.getElementById("rulesErrors");
+  const name = (document.getElementById("ruleProfileName")?.value || "").trim();
+  const rules = {};
+  RULE_FIELDS.forEach(f => {
+    const v = document.getElementById(`rule_${f.key}`)?.value ?? "";
+    rules[f.key] = v.trim() === "" ? NaN : Number(v);
+  });
+
+  const issues = validateRules(rules);
+  if (!name) issues.unshift("Enter a profile name.");
+  if (issues.length) { if (errBox) errBox.innerHTML = issues.join("<br>"); return; }
+
+  const profiles = loadCustomRuleProfiles();
+  profiles[name] = rules;
+  saveCustomRuleProfiles(profiles);
+  selectRuleProfile(`custom:${name}`);
+  closeRulesModal();
+}
+
+/** Delete the selected user profile and fall back to standard */
+function deleteRulesProfile(){
+  const key = readRuleProfile();
+  if (!key.startsWith("custom:")) return;
+  const profiles = loadCustomRuleProfiles();
+  delete profiles[key.slice(7)];
+  saveCustomRuleProfiles(profiles);
+  selectRuleProfile(RULE_PROFILE_DEFAULT);
+  closeRulesModal();
+}
+
+/** Rebuild the selector, choose a profile and treat it like a user change */
+function selectRuleProfile(key){
+  buildRuleProfileOptions();
+  const sel = document.getElementById("ruleProfile");
+  if (!sel) return;
+  sel.value = key;
+  sel.dispatchEvent(new Event("change"));
+}
+
+
+/* =====================================================================================
+   MATERIAL LIBRARY (selector group, manager modal, JSON import/export)
+   ===================================================================================== */
+
+const MATLIB_FIELDS = [
+  { key: "brittleC", label: "Brittleness point" },
+  { key: "minC",     label: "Service min" },
+  { key: "tr10C",    label: "TR-10" },
+  { key: "maxC",     label: "Service max" },
+  { key: "excMaxC",  label: "Short-excursion max" }
+];
+
+let _matLibEditing = null;  // name of the compound in the editor (null → new)
+let _matLibDeleted = null;  // { name, compound, wasSelected } of the last delete, for Undo
+
+/** Append the library compounds to the material selector; keeps the current choice */
+function buildMaterialOptions(){
+  const sel = document.getElementById("oringMaterialGroup");
+  if (!sel) return;
+  const current = sel.value;
+  sel.querySelector("optgroup.matlib-group")?.remove();
+
+  const names = Object.keys(loadMaterialLibrary()).sort();
+  if (names.length) {
+    const group = document.createElement("optgroup");
+    group.className = "matlib-group";
+    group.label = "Material library";
+    group.innerHTML = names.map(n => `<option value="lib:${escapeHtml(n)}">${escapeHtml(n)}</option>`).join("");
+    sel.appendChild(group);
+  }
+  sel.value = [...sel.options].some(o => o.value === current) ? current : "";
+}
+
+function openMaterialLibrary(){
+  const modal = document.getElementById("matLibModal");
+  if (!modal) return;
+  const v = document.getElementById("oringMaterialGroup")?.value || "";
+  fillMaterialEditor(v.startsWith("lib:") ? v.slice(4) : null);
+  modal.style.display = "block";
+}
+
+function closeMaterialLibrary(){
+  const modal = document.getElementById("matLibModal");
+  if (modal) modal.style.display = "none";
+}
+
+/**
+ * Editor for one compound. `name` null starts a new compound, seeded from
+ * `seed` (a clone) or from the selected built-in group.
+ */
+function fillMaterialEditor(name, seed){
+  const body = document.getElementById("matLibBody");
+  if (!body) return;
+  const lib = loadMaterialLibrary();
+  _matLibEditing = (name && lib[name]) ? name : null;
+
+  const fallback = readMaterial() || materialInfo("NBR");
+  const c = _matLibEditing ? lib[_matLibEditing] : (seed || { ...fallback, family: fallback.family, notes: "" });
+  const shownName = _matLibEditing || (seed ? seed.name : "");
+  const val = v => (v === undefined || v === null || Number.isNaN(v)) ? "" : escapeHtml(v);
+  const table = (c.alphaTable || []).map(r => `${r[0]}, ${toSci(r[1])}`).join("\n");
+
+  body.innerHTML = `
+    <div class="matlib-bar">
+      <label>Compound
+        <select id="matLibPick">
+          <option value="">New compound…</option>
+          ${Object.keys(lib).sort().map(n => `<option value="${escapeHtml(n)}" ${n === _matLibEditing ? "selected" : ""}>${escapeHtml(n)}</option>`).join("")}
+        </select>
+      </label>
+    </div>
+    <table class="modal-table rules-table matlib-table">
+      <tbody>
+        <tr><td>Name</td><td><input id="matLibName" type="text" value="${val(shownName)}" placeholder="e.g. FKM 75 low-temp (ACME 123)"></td></tr>
+        <tr><td>Family (media &amp; aging data)</td><td><select id="matLibFamily">
+          ${Object.keys(MATERIAL_TO_CTE).map(f => `<option ${f === c.family ? "selected" : ""}>${f}</option>`).join("")}
+        </select></td></tr>
+        <tr><td>CTE α at ${AMBIENT} °C (1/°C)</td><td><input id="matLibAlpha" type="text" value="${val(c.alpha !== undefined ? toSci(c.alpha) : "")}"></td></tr>
+        <tr><td>CTE table (optional; one “°C, α” per line)</td><td><textarea id="matLibTable" rows="3" placeholder="-40, 1.9e-4&#10;23, 2.1e-4&#10;150, 2.6e-4">${escapeHtml(table)}</textarea></td></tr>
+        <tr><td>Hardness grades (Shore A)</td><td><input id="matLibHardness" type="text" value="${val((c.hardness || []).join(", "))}" placeholder="70, 80"></td></tr>
+        ${MATLIB_FIELDS.map(f => `
+        <tr><td>${f.label}</td><td><input class="rule-input" id="matLib_${f.key}" type="number" step="1" value="${val(c[f.key])}"> °C</td></tr>`).join("")}
+        <tr><td>Notes</td><td><textarea id="matLibNotes" rows="2">${escapeHtml(c.notes || "")}</textarea></td></tr>
+      </tbody>
+    </table>
+    <div id="matLibErrors" class="oob"></div>
+  `;
+  const del = document.getElementById("matLibDeleteBtn");
+  if (del) del.disabled = !_matLibEditing;
+  const clone = document.getElementById("matLibCloneBtn");
+  if (clone) clone.disabled = !_matLibEditing;
+}
+
+/** Compound record from the editor fields */
+function readMaterialEditor(){
+  const get = id => (document.getElementById(id)?.value ?? "").trim();
+  const num = v => v === "" ? NaN : Number(v);
+  const tableText = get("matLibTable");
+
+  const c = {
+    family: get("matLibFamily"),
+    alpha: num(get("matLibAlpha")),
+    alphaTable: tableText
+      ? tableText.split(/\r?\n/).filter(l => l.trim()).map(l => l.split(/[,;\t ]+/).filter(Boolean).map(Number))
+      : null,
+    hardness: get("matLibHardness").split(/[,\s]+/).filter(Boolean),
+    notes: get("matLibNotes")
+  };
+  MATLIB_FIELDS.forEach(f => { c[f.key] = num(get(`matLib_${f.key}`)); });
+  return { name: get("matLibName"), c };
+}
+
+/** JSON-safe copy (NaN limits become absent) */
+function cleanCompound(c){
+  const out = { family: c.family, alpha: c.alpha, alphaTable: c.alphaTable, hardness: c.hardness.map(String), notes: c.notes || "" };
+  MATERIAL_LIMIT_KEYS.forEach(k => { if (Number.isFinite(c[k])) out[k] = c[k]; });
+  return out;
+}
+
+/** Save (or rename) the compound in the editor and select it in the form */
+function saveMaterialCompound(){
+  const errBox = document.getElementById("matLibErrors");
+  const { name, c } = readMaterialEditor();
+  const lib = loadMaterialLibrary();
+
+  const issues = validateCompound(name, c);
+  if (name && name !== _matLibEditing && lib[name]) issues.push(`A compound named "${name}" already exists.`);
+  if (issues.length) { if (errBox) errBox.innerHTML = issues.map(escapeHtml).join("<br>"); return; }
+
+  if (_matLibEditing && _matLibEditing !== name) delete lib[_matLibEditing];
+  lib[name] = cleanCompound(c);
+  saveMaterialLibrary(lib);
+  selectMaterial(`lib:${name}`);
+  fillMaterialEditor(name);
+}
+
+/** Start a new compound from the one in the editor */
+function cloneMaterialCompound(){
+  const { name, c } = readMaterialEditor();
+  fillMaterialEditor(null, { ...c, name: `${name} copy` });
+}
+
+/** Delete the compound in the editor; the message offers Undo until the next delete */
+function deleteMaterialCompound(){
+  if (!_matLibEditing) return;
+  const name = _matLibEditing;
+  const lib = loadMaterialLibrary();
+  const sel = document.getElementById("oringMaterialGroup");
+  _matLibDeleted = { name, compound: lib[name], wasSelected: !!sel && sel.value === `lib:${name}` };
+  delete lib[name];
+  saveMaterialLibrary(lib);
+
+  if (_matLibDeleted.wasSelected) selectMaterial("");
+  else buildMaterialOptions();
+  fillMaterialEditor(null);
+
+  const box = document.getElementById("matLibErrors");
+  if (box) box.textContent = `Deleted "${name}". `;
+  appendUndoButton("matLibErrors", undoDeleteMaterialCompound);
+}
+
+/** Put the last deleted compound back (and re-select it if the form used it) */
+function undoDeleteMaterialCompound(){
+  const del = _matLibDeleted;
+  _matLibDeleted = null;
+  if (!del) return;
+  const lib = loadMaterialLibrary();
+  lib[del.name] = del.compound;
+  saveMaterialLibrary(lib);
+
+  if (del.wasSelected) selectMaterial(`lib:${del.name}`);
+  else buildMaterialOptions();
+  fillMaterialEditor(del.name);
+
+  const box = document.getElementById("matLibErrors");
+  if (box) box.textContent = `Restored "${del.name}".`;
+}
+
+/** Download the library as versioned JSON */
+function exportMaterialLibrary(){
+  const data = { format: MATLIB_FORMAT, version: 1, materials: loadMaterialLibrary() };
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "gland-materials.json";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Merge compounds from an exported file (or a plain { name: compound } map).
+ * Valid entries overwrite same-named ones; invalid ones are listed and skipped.
+ */
+function importMaterialLibrary(text){
+  const errBox = document.getElementById("matLibErrors");
+  let data;
+  try { data = JSON.parse(text); }
+  catch (e) { if (errBox) errBox.textContent = "Not a JSON file."; return; }
+
+  const src = (data && data.format === MATLIB_FORMAT) ? data.materials : data;
+  if (!src || typeof src !== "object" || Array.isArray(src)) {
+    if (errBox) errBox.textContent = "No materials found in the file.";
+    return;
+  }
+
+  const lib = loadMaterialLibrary();
+  const skipped = [];
+  let added = 0;
+  Object.entries(src).forEach(([name, raw]) => {
+    const { c, rowIssues } = compoundFromJson(raw);
+    if (rowIssues.length) { skipped.push(`${name}: ${rowIssues.join(" ")}`); return; }
+    const issues = validateCompound(name, c);
+    if (issues.length) { skipped.push(`${name}: ${issues[0]}`); return; }
+    lib[name] = cleanCompound(c);
+    added++;
+  });
+  saveMaterialLibrary(lib);
+  buildMaterialOptions();
+  fillMaterialEditor(_matLibEditing);
+
+  const msg = [`Imported ${added} compound${added === 1 ? "" : "s"}.`, ...skipped.map(s => `Skipped ${s}`)];
+  const box = document.getElementById("matLibErrors");
+  if (box) box.innerHTML = msg.map(escapeHtml).join("<br>");
+}
+
+/** Rebuild the selector, choose a material and treat it like a user change */
+function selectMaterial(value){
+  buildMaterialOptions();
+  const sel = document.getElementById("oringMaterialGroup");
+  if (!sel) return;
+  sel.value = value;
+  sel.dispatchEvent(new Event("change"));
+}
+
+
+/* =====================================================================================
+   SIZE SUGGESTION MODAL (AS568 rows that fit the entered gland)
+   ===================================================================================== */
+
+let sizeFits = [];
+let sizeFitSelectedIndex = -1;
+
+/** Evaluate every AS568 row against the gland fields and list the passing sizes */
+async function openSizeSuggestModal(){
+  const body  = document.getElementById("sizeSuggestBody");
+  const modal = document.getElementById("sizeSuggestModal");
+  const useBtn = document.getElementById("sizeSuggestUseBtn");
+  if (!body || !modal) return;
+
+  modal.style.display = "block";
+  sizeFits = [];
+  sizeFitSelectedIndex = -1;
+  if (useBtn) useBtn.disabled = true;
+
+  const base = readCalcParams();
+  const glandKeys = ["gw","gd","angle","rTop","rBottom","gap","centerline"];
+  const ready = glandKeys.every(k => Number.isFinite(base[k])) &&
+                document.getElementById("oringMaterialGroup")?.value &&
+                Number.isFinite(base.housingAlpha);
+  if (!ready) {
+    body.innerHTML = `<p class="modal-note">Enter every gland field and the O-ring material first.</p>`;
+    return;
+  }
+
+  await loadAs568Data();
+  const cases = readOperatingTemps();
+  sizeFits = rankSizeFits(base, as568DataMM || [], cases.temps, readRules());
+
+  if (!sizeFits.length) {
+    body.innerHTML = `<p class="modal-note">No AS568 size passes every rule in this gland.</p>`;
+    return;
+  }
+
+  // Column per temperature (compression / fill)
+  const meta = buildTempMeta(sizeFits[0].out, cases);
+  const tempHeads = sizeFits[0].out.temperatureResults.map(t => {
+    const lbl = tempCaseLabel(meta, t.tempC);
+    return `<th>${lbl ? lbl + "<br>" : ""}${formatTempDisplay(t.tempC)}<br><small>C% / F%</small></th>`;
+  }).join("");
+
+  const len = mm => Number(convert(mm, CANONICAL_LENGTH, unit)).toFixed(3);
+  const rows = sizeFits.map((f, i) => `
+    <tr data-fit="${i}">
+      <td>${f.row.dash}</td>
+      <td>${len(f.row.cs)}</td>
+      <td>${len(f.row.id)}</td>
+      <td>${f.out.stretchPct.toFixed(2)}%</td>
+      ${f.out.temperatureResults.map(t =>
+        `<td>${t.compressionPct.toFixed(1)} / ${t.glandFillPct.toFixed(1)}</td>`).join("")}
+      <td>${f.margins.overall.toFixed(2)}</td>
+    </tr>
+  `).join("");
+
+  body.innerHTML = `
+    <p class="modal-note">${sizeFits.length} size(s) pass every RED rule, ranked by smallest margin (% points) to the compression, fill and stretch limits.</p>
+    <table class="modal-table">
+      <thead>
+        <tr><th>Dash</th><th>CS (${unit})</th><th>ID (${unit})</th><th>Stretch</th>${tempHeads}<th>Margin</th></tr>
+      </thead>
+      <tbody id="sizeSuggestTbody">${rows}</tbody>
+    </table>
+  `;
+}
+
+function closeSizeSuggestModal(){
+  const modal = document.getElementById("sizeSuggestModal");
+  if (modal) modal.style.display = "none";
+}
+
+/** Row click → select; enables "Use Selected" */
+function selectSizeFit(index){
+  const tbody = document.getElementById("sizeSuggestTbody");
+  if (!tbody) return;
+  tbody.querySelectorAll("tr").forEach(r => r.classList.toggle("selected", Number(r.dataset.fit) === index));
+  sizeFitSelectedIndex = index;
+  const useBtn = document.getElementById("sizeSuggestUseBtn");
+  if (useBtn) useBtn.disabled = false;
+}
+
+function applySizeSuggestion(){
+  const fit = sizeFits[sizeFitSelectedIndex];
+  if (!fit) return;
+  applyOringSize(fit.row.cs, fit.row.id, { series: "as568", standard: "AS568", code: fit.row.dash },
+    { cs: fit.row.csTol, id: fit.row.idTol });
+  closeSizeSuggestModal();
+}
+
+
+/* =====================================================================================
+   DESIGN-FOR-ME MODAL (run solver, list candidates, load into form)
+   ===================================================================================== */
+
+let designCandidates = [];
+
+/** Run the solver for the current O-ring/material/temperatures and list the results */
+function openDesignModal(){
+  const body = document.getElementById("designBody");
+  const modal = document.getElementById("designModal");
+  if (!body || !modal) return;
+  modal.style.display = "block";
+
+  const base = readCalcParams();
+  const ready = Number.isFinite(base.cs) && base.cs > 0 &&
+                Number.isFinite(base.id) && base.id > 0 &&
+                document.getElementById("oringMaterialGroup")?.value &&
+                Number.isFinite(base.housingAlpha);
+  if (!ready) {
+    designCandidates = [];
+    body.innerHTML = `<p class="modal-note">Enter the O-ring cross-section, ID and material first (pick a size from the AS568 list or type them).</p>`;
+    return;
+  }
+
+  const snap = (unit === "in") ? 0.001 * IN_TO_MM : 0.01;
+  designCandidates = solveGlandDesign(base, readOperatingTemps().temps, snap, readRules());
+
+  const clNote = (base.centerline > 0)
+    ? `centerline ${formatLength(base.centerline)} from the form`
+    : `centerline sized for ${DESIGN_SEARCH.stretchPct}% stretch`;
+  const gapNote = (base.gap >= 0) ? `gap ${formatLength(base.gap)}` : `zero gap`;
+
+  if (!designCandidates.length) {
+    body.innerHTML = `<p class="modal-note">No geometry in the search space meets every rule for this O-ring and temperature range (${clNote}, ${gapNote}).</p>`;
+    return;
+  }
+
+  const len = mm => Number(convert(mm, CANONICAL_LENGTH, unit)).toFixed(3);
+  const rows = designCandidates.map((c, i) => {
+    const comps = c.out.temperatureResults.map(t => t.compressionPct);
+    const fills = c.out.temperatureResults.map(t => t.glandFillPct);
+    return `
+      <tr>
+        <td>${i + 1}</td>
+        <td>${c.params.angle}°</td>
+        <td>${len(c.params.gw)}</td>
+        <td>${len(c.params.gd)}</td>
+        <td>${len(c.params.rTop)}</td>
+        <td>${len(c.params.rBottom)}</td>
+        <td>${Math.min(...comps).toFixed(1)}–${Math.max(...comps).toFixed(1)}%</td>
+        <td>${Math.max(...fills).toFixed(1)}%</td>
+        <td>${c.retention ? c.retention.insertionSqueezePct.toFixed(1) + "%" : "–"}</td>
+        <td>${c.margins.overall.toFixed(2)}</td>
+        <td><button class="action-btn small" type="button" data-candidate="${i}">Load</button></td>
+      </tr>`;
+  }).join("");
+
+  body.innerHTML = `
+    <p class="modal-note">${GLAND_TYPES[base.glandType].label} gland, ${ruleProfileLabel(readRuleProfile())} rules. Ranked by smallest margin (% points) to the ${GLAND_TYPES[base.glandType].retains ? "compression band, fill limit and retention window" : "compression band and fill limit"}, over all temperatures; ${clNote}, ${gapNote}.</p>
+    <table class="modal-table">
+      <thead>
+        <tr>
+          <th>#</th><th>Angle</th><th>Width (${unit})</th><th>Depth (${unit})</th>
+          <th>r₁ (${unit})</th><th>r₂ (${unit})</th><th>Compression</th><th>Max Fill</th>
+          <th>Insertion</th><th>Margin</th><th></th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+function closeDesignModal(){
+  const modal = document.getElementById("designModal");
+  if (modal) modal.style.display = "none";
+}
+
+/** Copy a candidate geometry into the gland fields (same bookkeeping as typing) */
+function applyDesignCandidate(index){
+  const c = designCandidates[index];
+  if (!c) return;
+
+  if (hasCalculated) resetResultsOnly();
+
+  setLengthField("glandWidth", c.params.gw);
+  setLengthField("glandDepth", c.params.gd);
+  setLengthField("glandTopR", c.params.rTop);
+  setLengthField("glandBottomR", c.params.rBottom);
+  setLengthField("gap", c.params.gap);
+  setLengthField("glandCenterline", c.params.centerline);
+
+  const angle = document.getElementById("glandAngle");
+  if (angle) {
+    angle.value = String(c.params.angle);
+    angle.dataset.originalValue = String(c.params.angle);
+    angle.dataset.originalUnit  = "";
+  }
+
+  Object.keys(HINTS).forEach(advisoryCheck);
+  checkMandatoryStatus();
+  saveSessionDebounced();
+  updateGlandInfoPanel();
+  closeDesignModal();
+}
+
+
+/* =====================================================================================
+   RESULTS RENDERING (cards)
+   ===================================================================================== */
+
+/** Raw results of the last calculation; findings text is rebuilt from them (collectFindings) */
+let _lastRender = null;
+
+/** Format a canonical °C value in the active display temperature unit */
+function formatTempDisplay(tempC){
+  return (tempUnit==="°F")
+    ? `${convert(tempC,"C","F").toFixed(2)} °F`
+    : `${tempC.toFixed(2)} °C`;
+}
+
+/** Card label(s) for a temperature present in the meta map, e.g. "Min" or "Ambient" */
+function tempCaseLabel(meta, tempC){
+  const names = { ambient:"Ambient", min:"Min", nominal:"Nominal", max:"Max" };
+  const hits = Object.keys(names).filter(k => meta[k] && meta[k].tempC === tempC);
+  return hits.map(k => names[k]).join(" / ");
+}
+
+/** Build results cards; clamp stretch display to >= 0 */
+function renderResultsGrid(out, meta, stretchPct, retention, limits, geometry, extrusion, life){
+  const grid=document.getElementById("resultsGrid");
+  if (!grid) return;
+  grid.innerHTML="";
+
+  const { compMin, compMax, fillMax, stretchMin, stretchMax } = limits;
+  const compOk = c => c >= compMin && c <= compMax;
+  const stretchOk = v => v >= stretchMin && v <= stretchMax;
+
+  const toDisp = formatTempDisplay;
+
+  // Compression load rows (only when a hardness is selected)
+  const loadRows = e => (e.loadPerLength == null) ? "" : `
+      <div class="results-row"><span>Load / Length</span><span>${formatLineLoad(e.loadPerLength)}</span></div>
+      <div class="results-row"><span>Closure Force</span><span>${formatForce(e.closureForce)}</span></div>`;
+
+  // Ambient / Nominal card
+  if (meta.ambient) {
+    const t = meta.ambient;
+    // Class for Stretch: red (oob) outside the stretch window; else normal.
+    // Display for Stretch is clamped at 0.00 if negative (as requested).
+    const sCls = stretchOk(out.stretchPct) ? "" : "oob";
+
+    // Compression: red if outside the band (e.g. 15–25%) OR negative.
+    // Display: clamp at 0.00 if negative, otherwise show actual.
+    const isCompNeg = (t.compressionPct < 0);
+    const cDisplay  = (isCompNeg ? 0 : t.compressionPct);
+    const cCls      = (isCompNeg || !compOk(t.compressionPct)) ? "oob" : "";
+
+    // Gland Fill: red if above the maximum (e.g. 90%) OR negative.
+    // Display: clamp at 0.00 if negative, otherwise show actual.
+    const isFillNeg = (t.glandFillPct < 0);
+    const fDisplay  = (isFillNeg ? 0 : t.glandFillPct);
+    const fCls      = (isFillNeg || !(t.glandFillPct <= fillMax)) ? "oob" : "";
+
+    const card = document.createElement("div");
+    card.className = "results-panel";
+    card.innerHTML = `
+      <div class="results-header">Ambient Temperature (23 °C)</div>
+      <!--<div class="results-subheader">Nominal</div>-->
+      <div class="results-row"><span>Stretch</span><span class="${sCls}">${Math.max(0, stretchPct).toFixed(2)}%</span></div>
+      ${oringSizeRef ? `<div class="results-row"><span>O-Ring Size</span><span>${escapeHtml(describeSizeRef(oringSizeRef))}</span></div>` : ""}
+      <div class="results-row"><span>Free / Installed CS${out.stretchPct < 0 ? " (ID compressed)" : ""}</span><span>${formatLength(out.freeCs)} / ${formatLength(t.installedCs)}</span></div>
+      <div class="results-row"><span>Compression</span><span class="${cCls}">${cDisplay.toFixed(2)}%</span></div>
+      <div class="results-row"><span>Gland Fill</span><span class="${fCls}">${fDisplay.toFixed(2)}%</span></div>${loadRows(t)}
+      <div class="results-row"><span>O-Ring Volume</span><span>${formatVolume(out.oringVolume)}</span></div>
+      <div class="results-row"><span>Gland Volume</span><span>${formatVolume(out.glandVolume)}</span></div>
+      ${out.swellPct ? `<div class="results-row"><span>Media Volume Swell</span><span>${formatSignedPct(out.swellPct)}</span></div>` : ""}
+    `;
+    grid.appendChild(card);
+  }
+
+  // Operating temp cards
+  function addOpCard(label, entry){
+    if (!entry) return;
+  
+    // Compression: red if outside the band or negative; clamp negatives to 0.00
+    const compNeg = (entry.compressionPct < 0);
+    const compDisp= compNeg ? 0 : entry.compressionPct;
+    const cCls    = (compNeg || !compOk(entry.compressionPct)) ? "oob" : "";
+  
+    // Gland Fill: red if above the maximum or negative; clamp negatives to 0.00
+    const fillNeg = (entry.glandFillPct < 0);
+    const fillDisp= fillNeg ? 0 : entry.glandFillPct;
+    const fCls    = (fillNeg || !(entry.glandFillPct <= fillMax)) ? "oob" : "";
+  
+    const card = document.createElement("div");
+    card.className = "results-panel";
+    card.innerHTML = `
+      <div class="results-header">Operating Temperature (${label}) ${toDisp(entry.tempC)}</div>
+      <div class="results-row"><span>Stretch</span><span class="${stretchOk(entry.stretchPct) ? "" : "oob"}">${Math.max(0, entry.stretchPct).toFixed(2)}%</span></div>
+      <div class="results-row"><span>Installed CS</span><span>${formatLength(entry.installedCs)}</span></div>
+      <div class="results-row"><span>Compression</span><span class="${cCls}">${compDisp.toFixed(2)}%</span></div>
+      <div class="results-row"><span>Gland Fill</span><span class="${fCls}">${fillDisp.toFixed(2)}%</span></div>${loadRows(entry)}
+    `;
+    grid.appendChild(card);
+  }
+
+  addOpCard("Min", meta.min);
+  addOpCard("Nominal", meta.nominal);
+  addOpCard("Max", meta.max);
+
+  // Geometry card (exact cross-section vs the simplified model)
+  if (geometry) {
+    const card = document.createElement("div");
+    card.className = "results-panel";
+    card.innerHTML = `
+      <div class="results-header">Gland Cross-Section (Exact Geometry)</div>
+      <div class="results-row"><span>Area</span><span>${formatArea(geometry.area)}</span></div>
+      <div class="results-row"><span>Simplified Model Area</span><span>${formatArea(geometry.simplifiedArea)}</span></div>
+      <div class="results-row"><span>Simplified vs Exact</span><span>${geometry.diffPct >= 0 ? "+" : ""}${geometry.diffPct.toFixed(2)}%</span></div>
+      <div class="results-row"><span>Centroid Depth (below face)</span><span>${formatLength(geometry.centroid[1])}</span></div>
+    `;
+    grid.appendChild(card);
+  }
+
+  // Extrusion card (diametral clearance vs the hardness curve at the operating pressure)
+  if (extrusion) {
+    const w = extrusion.worst;
+    let verdict = "OK", vCls = "";
+    if (extrusion.limit == null) { verdict = "Backup ring required"; vCls = "oob"; }
+    else if (w.ratio > 1) { verdict = "Extrusion risk"; vCls = "oob"; }
+    else if (w.ratio > EXTRUSION_WARN_RATIO) { verdict = "Marginal"; vCls = "warn-val"; }
+
+    const card = document.createElement("div");
+    card.className = "results-panel";
+    card.innerHTML = `
+      <div class="results-header">Extrusion (${formatPressure(extrusion.pressureMPa)}, ${extrusion.hardness} Shore A${extrusion.assumedHardness ? " assumed" : ""})</div>
+      <div class="results-row"><span>Diametral Clearance (2e) @ ${toDisp(w.tempC)}</span><span class="${vCls}">${formatLength(w.diametral)}</span></div>
+      <div class="results-row"><span>Allowed Diametral Clearance</span><span>${extrusion.limit == null ? "–" : formatLength(extrusion.limit)}</span></div>
+      <div class="results-row"><span>Recommended Max Gap (e)</span><span>${extrusion.maxGap == null ? "Backup ring" : formatLength(extrusion.maxGap)}</span></div>
+      <div class="results-row"><span>Verdict</span><span class="${vCls}">${verdict}</span></div>
+    `;
+    grid.appendChild(card);
+  }
+
+  // Seal life card (compression set at the max temperature)
+  if (life?.noAgingData) {
+    const card = document.createElement("div");
+    card.className = "results-panel";
+    card.innerHTML = `
+      <div class="results-header">Seal Life (aging at ${toDisp(life.tempC)})</div>
+      <div class="results-row"><span>Not estimated</span><span class="warn-val">no aging data for ${escapeHtml(life.family)}</span></div>
+    `;
+    grid.appendChild(card);
+  } else if (life) {
+    const low = life.atLife && life.atLife.squeezePct < life.minSqueezePct;
+    const card = document.createElement("div");
+    card.className = "results-panel";
+    card.innerHTML = `
+      <div class="results-header">Seal Life (aging at ${toDisp(life.tempC)})</div>
+      <div class="results-row"><span>Initial Squeeze</span><span>${life.compressionPct.toFixed(2)}%</span></div>
+      ${life.atLife ? `
+      <div class="results-row"><span>Compression Set @ ${formatHours(life.designHours)}</span><span>${life.atLife.setPct.toFixed(1)}%</span></div>
+      <div class="results-row"><span>Remaining Squeeze @ ${formatHours(life.designHours)}</span><span class="${low ? "warn-val" : ""}">${life.atLife.squeezePct.toFixed(2)}%</span></div>` : ""}
+      <div class="results-row"><span>Squeeze Reaches ${life.minSqueezePct}%</span><span class="${low ? "warn-val" : ""}">${life.hoursToLimit ? "after " + formatHours(life.hoursToLimit) : "already below"}</span></div>
+    `;
+    grid.appendChild(card);
+  }
+
+  // Retention card (dovetail undercut vs O-ring CS)
+  if (retention) {
+    const sq = retention.insertionSqueezePct;
+    let verdict = "Retained", vCls = "";
+    if (!retention.retained) { verdict = "Not retained"; vCls = "oob"; }
+    else if (sq > RETENTION_LIMITS.damagePct) { verdict = "Install damage"; vCls = "oob"; }
+    else if (sq > RETENTION_LIMITS.highPct || sq < RETENTION_LIMITS.marginalPct) { verdict = "Marginal"; vCls = "warn-val"; }
+
+    const card = document.createElement("div");
+    card.className = "results-panel";
+    card.innerHTML = `
+      <div class="results-header">Retention (${GLAND_TYPES[out.glandType].label} undercut)</div>
+      <div class="results-row"><span>Throat Width (after r₁)</span><span>${formatLength(retention.throat)}</span></div>
+      <div class="results-row"><span>CS / Throat</span><span class="${retention.retained ? "" : "oob"}">${retention.ratio.toFixed(3)}</span></div>
+      <div class="results-row"><span>Insertion Squeeze</span><span class="${vCls}">${Math.max(0, sq).toFixed(2)}%</span></div>
+      <div class="results-row"><span>Verdict</span><span class="${vCls}">${verdict}</span></div>
+    `;
+    grid.appendChild(card);
+  }
+}
+
+/**
+ * Tolerance stack-up table: worst-case and RSS min/max around nominal
+ * for stretch, then compression and gland fill at every temperature.
+ * Hidden when no tolerance is entered.
+ */
+function renderStackupPanel(stack, meta, limits){
+  const box = document.getElementById("stackupPanel");
+  if (!box) return;
+  if (!stack || !stack.toleranced.length) {
+    box.style.display = "none";
+    box.innerHTML = "";
+    return;
+  }
+
+  // Out-of-band colouring uses the same limits as the result cards
+  const inBand = {
+    stretch:     v => v >= limits.stretchMin && v <= limits.stretchMax,
+    compression: v => v >= limits.compMin && v <= limits.compMax,
+    fill:        v => v >= 0 && v <= limits.fillMax
+  };
+  const cols = ["wcMin","nom","wcMax","rssMin","rssMax"];
+  const row = (label, m, kind) => `
+    <tr>
+      <td>${label}</td>
+      ${cols.map(c => `<td class="${inBand[kind](m[c]) ? "" : "oob"}">${m[c].toFixed(2)}%</td>`).join("")}
+    </tr>`;
+
+  const rows = [row("Stretch", stack.stretch, "stretch")];
+  stack.temperatureResults.forEach(t => {
+    const lbl = tempCaseLabel(meta, t.tempC);
+    const at  = `${lbl ? lbl + " " : ""}${formatTempDisplay(t.tempC)}`;
+    rows.push(row(`Compression @ ${at}`, t.compression, "compression"));
+    rows.push(row(`Gland Fill @ ${at}`, t.fill, "fill"));
+  });
+
+  const names = TOLERANCE_FIELDS
+    .filter(f => stack.toleranced.includes(f.key))
+    .map(f => f.label)
+    .join(", ");
+
+  box.style.display = "block";
+  box.innerHTML = `
+    <div class="results-header">Tolerance Stack-up (Worst-case &amp; RSS)</div>
+    <div class="stackup-note">Toleranced inputs: ${names}</div>
+    <div class="stackup-scroll">
+      <table class="stackup-table">
+        <thead>
+          <tr><th></th><th>WC Min</th><th>Nominal</th><th>WC Max</th><th>RSS Min</th><th>RSS Max</th></tr>
+        </thead>
+        <tbody>${rows.join("")}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+
+/* =====================================================================================
+   TEMPERATURE SWEEP CHARTS (compression, fill, stretch vs temperature)
+   -------------------------------------------------------------------------------------
+   - Inline SVG (no CDN); x-axis follows the °C/°F toggle.
+   - Allowed bands shaded green; limit crossings marked and listed.
+   - Hover shows the nearest sweep value.
+   ===================================================================================== */
+
+/** Charts and their allowed bands (from the active rule profile) */
+const SWEEP_CHARTS = [
+  { key: "compressionPct", title: "Compression %", name: "Compression", band: l => [l.compMin, l.compMax] },
+  { key: "glandFillPct",   title: "Gland Fill %",  name: "Gland fill",  band: l => [-Infinity, l.fillMax] },
+  { key: "stretchPct",     title: "Stretch %",     name: "Stretch",     band: l => [l.stretchMin, l.stretchMax] }
+];
+const SWEEP_GEOM = { W: 320, H: 170, L: 40, R: 10, T: 22, B: 28 };
+
+let _sweepLast = null;
+
+/** Sweep range: Min..Max when both are entered, otherwise the span of all cases */
+function sweepRange(cases){
+  if (Number.isFinite(cases.min) && Number.isFinite(cases.max) && cases.max > cases.min) {
+    return { lo: cases.min, hi: cases.max };
+  }
+  const lo = Math.min(...cases.temps), hi = Math.max(...cases.temps);
+  return hi > lo ? { lo, hi } : null;
+}
+
+/**
+ * Crossing sentences read with rising temperature, e.g.
+ * "Compression falls below 15% at −28.0 °C" or "Gland fill rises above 90% at 140.0 °C".
+ */
+function sweepCrossingNotes(points, limits){
+  const notes = [];
+  const at = t => formatTempDisplay(t).replace("-", "−");
+  SWEEP_CHARTS.forEach(c => {
+    c.band(limits).filter(Number.isFinite).forEach(limit => {
+      findLimitCrossings(points, c.key, limit).forEach(h => {
+        notes.push(`${c.name} ${h.rising ? "rises above" : "falls below"} ${limit}% at ${at(h.tempC)}`);
+      });
+    });
+  });
+  return notes;
+}
+
+/** One chart: shaded band, limit lines, curve, crossing markers, hover layer */
+function sweepChartSvg(points, chart, limits){
+  const { W, H, L, R, T, B } = SWEEP_GEOM;
+  const [lo, hi] = chart.band(limits);
+  const toDisp = t => tempUnit === "°F" ? convert(t, "C", "F") : t;
+
+  const ys = points.map(p => p[chart.key]);
+  const lines = [lo, hi].filter(Number.isFinite);
+  let yLo = Math.min(...ys, ...lines), yHi = Math.max(...ys, ...lines);
+  const pad = (yHi - yLo) * 0.08 || 1;
+  yLo -= pad; yHi += pad;
+
+  const xLo = toDisp(points[0].tempC), xHi = toDisp(points[points.length-1].tempC);
+  const x = t => L + (toDisp(t) - xLo) / (xHi - xLo) * (W - L - R);
+  const y = v => T + (yHi - v) / (yHi - yLo) * (H - T - B);
+
+  const bandTop = y(Math.min(hi, yHi));
+  const bandBot = y(Number.isFinite(lo) ? Math.max(lo, yLo) : yLo);
+
+  const path = points.map((p, i) => `${i ? "L" : "M"}${x(p.tempC).toFixed(1)},${y(p[chart.key]).toFixed(1)}`).join("");
+
+  const limitLine = v => `<line x1="${L}" y1="${y(v).toFixed(1)}" x2="${W - R}" y2="${y(v).toFixed(1)}" stroke="#b91c1c" stroke-dasharray="4 3"/>`;
+
+  const marks = lines.flatMap(v => findLimitCrossings(points, chart.key, v).map(h => `
+      <circle cx="${x(h.tempC).toFixed(1)}" cy="${y(v).toFixed(1)}" r="3.5" fill="#b91c1c"/>
+      <text x="${x(h.tempC).toFixed(1)}" y="${(y(v) - 6).toFixed(1)}" font-size="9" fill="#b91c1c" text-anchor="middle">${toDisp(h.tempC).toFixed(1)}</text>`)).join("");
+
+  const unitTxt = tempUnit;
+  return `
+    <svg class="sweep-chart" data-key="${chart.key}" viewBox="0 0 ${W} ${H}" width="100%" role="img" aria-label="${chart.title} vs temperature">
+      <rect x="${L}" y="${bandTop.toFixed(1)}" width="${W - L - R}" height="${Math.max(0, bandBot - bandTop).toFixed(1)}" fill="#dcfce7"/>
+      ${lines.map(limitLine).join("")}
+      <path d="${path}" fill="none" stroke="#2563eb" stroke-width="1.8"/>
+      ${marks}
+      <line x1="${L}" y1="${H - B}" x2="${W - R}" y2="${H - B}" stroke="#9ca3af"/>
+      <line x1="${L}" y1="${T}" x2="${L}" y2="${H - B}" stroke="#9ca3af"/>
+      <text x="${L}" y="14" font-size="11" font-weight="600">${chart.title}</text>
+      <text x="${L - 4}" y="${T + 8}" font-size="9" fill="#6b7280" text-anchor="end">${yHi.toFixed(1)}</text>
+      <text x="${L - 4}" y="${H - B}" font-size="9" fill="#6b7280" text-anchor="end">${yLo.toFixed(1)}</text>
+      <text x="${L}" y="${H - 10}" font-size="10" fill="#6b7280">${xLo.toFixed(1)} ${unitTxt}</text>
+      <text x="${W - R}" y="${H - 10}" font-size="10" fill="#6b7280" text-anchor="end">${xHi.toFixed(1)} ${unitTxt}</text>
+      <line class="sweep-cursor" x1="0" y1="${T}" x2="0" y2="${H - B}" stroke="#111" stroke-width="1" visibility="hidden"/>
+      <text class="sweep-readout" x="${W - R}" y="14" font-size="10" text-anchor="end"></text>
+      <rect class="sweep-hit" x="${L}" y="${T}" width="${W - L - R}" height="${H - T - B}" fill="transparent"/>
+    </svg>`;
+}
+
+/** Render (or hide) the sweep panel from the stored sweep */
+function renderSweepPanel(sweep){
+  const box = document.getElementById("sweepPanel");
+  if (!box) return;
+  _sweepLast = sweep || null;
+  if (!sweep) {
+    box.style.display = "none";
+    box.innerHTML = "";
+    return;
+  }
+
+  const notes = sweepCrossingNotes(sweep.points, sweep.limits);
+  box.style.display = "block";
+  box.innerHTML = `
+    <div class="results-header">Temperature Sweep (${formatTempDisplay(sweep.lo)} to ${formatTempDisplay(sweep.hi)})</div>
+    <div class="sweep-grid">
+      ${SWEEP_CHARTS.map(c => `<div class="sweep-card">${sweepChartSvg(sweep.points, c, sweep.limits)}</div>`).join("")}
+    </div>
+    <ul class="sweep-notes">
+      ${notes.length ? notes.map(n => `<li class="oob">${n}</li>`).join("") : "<li>All metrics stay inside their bands across the range.</li>"}
+    </ul>
+  `;
+  // mouseleave (unlike mouseout) does not fire when the pointer moves between the chart's children
+  box.querySelectorAll("svg.sweep-chart").forEach(svg => svg.addEventListener("mouseleave", onSweepHover));
+}
+
+/** Hover: snap a cursor to the nearest swept temperature and print its value */
+function onSweepHover(e){
+  const svg = e.target.closest && e.target.closest("svg.sweep-chart");
+  if (!svg || !_sweepLast) return;
+  const cursor  = svg.querySelector(".sweep-cursor");
+  const readout = svg.querySelector(".sweep-readout");
+
+  if (e.type === "mouseleave") {
+    cursor.setAttribute("visibility", "hidden");
+    readout.textContent = "";
+    return;
+  }
+
+  const { W, L, R } = SWEEP_GEOM;
+  const box = svg.getBoundingClientRect();
+  if (!box.width) return;
+  const sx = (e.clientX - box.left) / box.width * W;
+  const f = Math.min(1, Math.max(0, (sx - L) / (W - L - R)));
+  const pts = _sweepLast.points;
+  const p = pts[Math.round(f * (pts.length - 1))];
+
+  const cx = L + f * (W - L - R);
+  cursor.setAttribute("x1", cx.toFixed(1));
+  cursor.setAttribute("x2", cx.toFixed(1));
+  cursor.setAttribute("visibility", "visible");
+  readout.textContent = `${formatTempDisplay(p.tempC)}: ${p[svg.dataset.key].toFixed(2)}%`;
+}
+
+
+/* =====================================================================================
+   SEAL LIFE CHART (compression set and remaining squeeze vs time)
+   -------------------------------------------------------------------------------------
+   - Log time axis from 1 h; rule minimum dashed red, design life marked.
+   ===================================================================================== */
+
+/** Time chart: remaining squeeze (blue) and compression set (grey) */
+function sealLifeChartSvg(life){
+  const { W, H, L, R, T, B } = SWEEP_GEOM;
+  const pts = life.curve;
+  const decades = Math.log10(pts[pts.length-1].hours);
+  const yHi = Math.max(100, life.compressionPct), yLo = 0;
+
+  const x = h => L + Math.log10(Math.max(h, 1)) / decades * (W - L - R);
+  const y = v => T + (yHi - v) / (yHi - yLo) * (H - T - B);
+  const path = key => pts.map((p, i) => `${i ? "L" : "M"}${x(p.hours).toFixed(1)},${y(p[key]).toFixed(1)}`).join("");
+
+  const ticks = [];
+  for (let d = 0; d <= decades; d++) ticks.push(`
+      <line x1="${x(10**d).toFixed(1)}" y1="${H - B}" x2="${x(10**d).toFixed(1)}" y2="${H - B + 3}" stroke="#9ca3af"/>
+      <text x="${x(10**d).toFixed(1)}" y="${H - 10}" font-size="9" fill="#6b7280" text-anchor="middle">${d >= 3 ? `1e${d}` : 10**d}</text>`);
+
+  const lifeMark = life.designHours ? `
+      <line x1="${x(life.designHours).toFixed(1)}" y1="${T}" x2="${x(life.designHours).toFixed(1)}" y2="${H - B}" stroke="#111" stroke-dasharray="2 3"/>
+      <text x="${(x(life.designHours) + 3).toFixed(1)}" y="${T + 9}" font-size="9">design life</text>` : "";
+
+  return `
+    <svg class="life-chart" viewBox="0 0 ${W} ${H}" width="100%" role="img" aria-label="Squeeze and compression set vs time">
+      <line x1="${L}" y1="${y(life.minSqueezePct).toFixed(1)}" x2="${W - R}" y2="${y(life.minSqueezePct).toFixed(1)}" stroke="#b91c1c" stroke-dasharray="4 3"/>
+      <path d="${path("setPct")}" fill="none" stroke="#9ca3af" stroke-width="1.5"/>
+      <path d="${path("squeezePct")}" fill="none" stroke="#2563eb" stroke-width="1.8"/>
+      ${lifeMark}
+      <line x1="${L}" y1="${H - B}" x2="${W - R}" y2="${H - B}" stroke="#9ca3af"/>
+      <line x1="${L}" y1="${T}" x2="${L}" y2="${H - B}" stroke="#9ca3af"/>
+      ${ticks.join("")}
+      <text x="${L}" y="14" font-size="11" font-weight="600">Squeeze % / Set % vs hours</text>
+      <text x="${L - 4}" y="${T + 8}" font-size="9" fill="#6b7280" text-anchor="end">${yHi.toFixed(0)}</text>
+      <text x="${L - 4}" y="${H - B}" font-size="9" fill="#6b7280" text-anchor="end">0</text>
+    </svg>`;
+}
+
+/** Render (or hide) the seal life panel */
+function renderSealLifePanel(life){
+  const box = document.getElementById("lifePanel");
+  if (!box) return;
+  if (!life || life.noAgingData) {
+    box.style.display = "none";
+    box.innerHTML = "";
+    return;
+  }
+
+  const notes = [
+    `Remaining squeeze (blue) = ${life.compressionPct.toFixed(2)}% × (1 − compression set); compression set in grey.`,
+    life.hoursToLimit
+      ? `Squeeze falls to the ${life.minSqueezePct}% minimum after ${formatHours(life.hoursToLimit)}.`
+      : `Squeeze is already below the ${life.minSqueezePct}% minimum.`
+  ];
+  box.style.display = "block";
+  box.innerHTML = `
+    <div class="results-header">Seal Life at ${formatTempDisplay(life.tempC)}</div>
+    <div class="sweep-grid">
+      <div class="sweep-card">${sealLifeChartSvg(life)}</div>
+    </div>
+    <ul class="sweep-notes">${notes.map(n => `<li>${n}</li>`).join("")}</ul>
+  `;
+}
+
 
-  tbody.innerHTML="";
-  as568SelectedIndex=-1;
+/* =====================================================================================
+   MONTE CARLO SIMULATION — controls, worker runner, rendering
+   -------------------------------------------------------------------------------------
+   - Runs in a Web Worker built from a Blob (works offline and from file://).
+   - Falls back to chunked main-thread execution when workers are unavailable.
+   ===================================================================================== */
 
-  const addBtn = document.getElementById("as568AddBtn");
-  if (addBtn) addBtn.disabled=true;
+/** Engine functions shipped into the worker (order irrelevant; all are declarations) */
+const MC_WORKER_DEPS = [
+  glandProfile, glandBoundary, contourIntegrals, exactGlandSection,
+  triangularDepth, glandCrossSection, glandSqueezeHeight,
+  shoreAToModulus, compressionLoad, sealThermalStrain, stretchedCrossSection, calculateDovetail,
+  createSeededRng, sampleInput, createMonteCarloState, monteCarloStep,
+  summarizeSamples, monteCarloSummarize
+];
 
-  as568Filtered.forEach((row, idx)=>{
-    const tr=document.createElement("tr");
-    tr.innerHTML = `
-      <td>${row.dash}</td>
-      <td>${row.cs}</td>
-      <td>${row.id}</td>
-    `;
-    tr.addEventListener("click", ()=>{
-      tbody.querySelectorAll("tr").forEach(r=>r.classList.remove("selected"));
-      tr.classList.add("selected");
-      as568SelectedIndex = idx;
-      if (addBtn) addBtn.disabled=false;
-    });
-    tbody.appendChild(tr);
-  });
-}
+const MC_DEFAULTS = { n: 5000, seed: 12345, k: 3 };
 
-function filterAs568Table(query){
-  const q = query.toLowerCase().trim();
-  as568Filtered = as568Data.filter(r =>
-    (r.dash || "").toLowerCase().includes(q) ||
-    String(r.cs).includes(q) ||
-    String(r.id).includes(q)
-  );
-  renderAs568Table();
-}
+let _mcWorker = null;
+let _mcWorkerUrl = null;
+let _mcRunToken = 0;
+let _mcLast = null;
 
-async function openAs568Modal(){
-  as568Data = await loadAs568Data();
-  as568Filtered = [...as568Data];
-  renderAs568Table();
+/** Worker entry point (serialized into the worker source, never called directly) */
+function monteCarloWorkerMain(){
+  self.onmessage = (e) => {
+    const state = createMonteCarloState(e.data);
+    const chunk = Math.max(100, Math.ceil(e.data.n / 50));
+    while (!monteCarloStep(state, chunk)) self.postMessage({ type:"progress", done: state.done });
+    self.postMessage({ type:"done", result: monteCarloSummarize(state) });
+  };
+}
 
-  const modal = document.getElementById("as568Modal");
-  if (modal) modal.style.display="block";
+/** Build (once) the Blob URL holding the worker source */
+function getMonteCarloWorkerUrl(){
+  if (_mcWorkerUrl) return _mcWorkerUrl;
+  const src = [
+    "const PI = Math.PI;",
+    `const AMBIENT = ${AMBIENT};`,
+    ...MC_WORKER_DEPS.map(fn => fn.toString()),
+    `(${monteCarloWorkerMain.toString()})();`
+  ].join("\n");
+  _mcWorkerUrl = URL.createObjectURL(new Blob([src], { type:"text/javascript" }));
+  return _mcWorkerUrl;
+}
 
-  const search=document.getElementById("as568Search");
-  if (search) { search.value=""; search.focus(); }
+/** One distribution selector per toleranced input (built before input tracking attaches) */
+function buildMonteCarloControls(){
+  const box = document.getElementById("mcDistTable");
+  if (!box) return;
+  box.innerHTML = TOLERANCE_FIELDS.map(f => `
+    <label class="sim-dist">
+      <span>${f.label}</span>
+      <select class="dropdown sim-dist-select" id="mcDist_${f.key}">
+        <option value="normal">Normal (σ)</option>
+        <option value="uniform">Uniform (±tol)</option>
+        <option value="fixed">Fixed (nominal)</option>
+      </select>
+    </label>
+  `).join("");
 }
 
-function closeAs568Modal(){
-  const modal = document.getElementById("as568Modal");
-  if (modal) modal.style.display="none";
+/** Read an integer/float setting, falling back to a default when blank/invalid */
+function readSimSetting(id, fallback, min){
+  const n = Number(document.getElementById(id)?.value);
+  return (Number.isFinite(n) && n >= min && document.getElementById(id).value.trim() !== "") ? n : fallback;
 }
 
-function applyAs568Selection(){
-  if (as568SelectedIndex < 0) return;
+/** Assemble the worker job from the current form */
+function buildMonteCarloJob(){
+  const dists = {};
+  TOLERANCE_FIELDS.forEach(f => {
+    dists[f.key] = document.getElementById(`mcDist_${f.key}`)?.value || "normal";
+  });
 
-  const row = as568Filtered[as568SelectedIndex];
+  const params = readCalcParams();
+  return {
+    params,
+    tols: readTolerances(),
+    dists,
+    k: readSimSetting("mcSigmaK", MC_DEFAULTS.k, 0.1),
+    n: Math.round(readSimSetting("mcSamples", MC_DEFAULTS.n, 100)),
+    seed: Math.round(readSimSetting("mcSeed", MC_DEFAULTS.seed, 0)),
+    temps: _lastRender.out.temperatureResults.map(t => t.tempC),
+    limits: readRules()
+  };
+}
 
-  const csField=document.getElementById("oringCS");
-  const idField=document.getElementById("oringID");
+function setMonteCarloStatus(text){
+  const el = document.getElementById("mcStatus");
+  if (el) el.textContent = text;
+}
 
-  if (hasCalculated) resetResultsOnly();
+/** Enable/disable the Run button (follows hasCalculated) */
+function setMonteCarloEnabled(on){
+  const btn = document.getElementById("mcRunBtn");
+  if (!btn) return;
+  btn.disabled = !on;
+  btn.classList.toggle("disabled", !on);
+}
 
-  if (csField) {
-    csField.dataset.originalValue = row.cs;
-    csField.dataset.originalUnit  = unit;
-    csField.value = Number(row.cs).toFixed(3);
+/** Stop any running simulation and forget stale results */
+function cancelMonteCarlo(clearResults=true){
+  _mcRunToken++;
+  if (_mcWorker) { _mcWorker.terminate(); _mcWorker = null; }
+  if (clearResults) {
+    _mcLast = null;
+    setMonteCarloStatus("");
+    const box = document.getElementById("mcResults");
+    if (box) box.innerHTML = "";
   }
-  if (idField) {
-    idField.dataset.originalValue = row.id;
-    idField.dataset.originalUnit  = unit;
-    idField.value = Number(row.id).toFixed(3);
-  }
-
-  checkMandatoryStatus();
-  saveSessionDebounced();
-  updateGlandInfoPanel();
-  closeAs568Modal();
 }
 
+/** Main-thread fallback: small chunks between timeouts keep the UI responsive */
+function runMonteCarloInline(job, token, onProgress, onDone){
+  const state = createMonteCarloState(job);
+  const tick = () => {
+    if (token !== _mcRunToken) return;
+    const finished = monteCarloStep(state, 250);
+    if (finished) onDone(monteCarloSummarize(state));
+    else { onProgress(state.done); setTimeout(tick, 0); }
+  };
+  setTimeout(tick, 0);
+}
 
-/* =====================================================================================
-   RESULTS RENDERING (cards)
-   ===================================================================================== */
+/** Run the simulation for the last calculated design */
+function runMonteCarlo(){
+  if (!hasCalculated || !_lastRender) return;
+  cancelMonteCarlo();
+
+  const job = buildMonteCarloJob();
+  const token = _mcRunToken;
+  const meta = _lastRender.meta;
+
+  const onProgress = done => setMonteCarloStatus(`Running… ${Math.round(done / job.n * 100)}%`);
+  const onDone = result => {
+    if (token !== _mcRunToken) return;
+    if (_mcWorker) { _mcWorker.terminate(); _mcWorker = null; }
+    _mcLast = { result, meta };
+    setMonteCarloStatus(`Done: ${result.n} samples, seed ${result.seed}.`);
+    renderMonteCarloResults(result, meta);
+  };
 
-let _lastRender = null;
+  onProgress(0);
 
-/** Build results cards; clamp stretch display to >= 0 */
-function renderResultsGrid(out, meta, stretchPct){
-  const grid=document.getElementById("resultsGrid");
-  if (!grid) return;
-  grid.innerHTML="";
+  let worker = null;
+  try {
+    if (typeof Worker === "function") worker = new Worker(getMonteCarloWorkerUrl());
+  } catch (e) {
+    console.warn("Web Worker unavailable; running simulation inline:", e);
+  }
 
-  const toDisp = tempC =>
-    (tempUnit==="°F")
-      ? `${convert(tempC,"C","F").toFixed(2)} °F`
-      : `${tempC.toFixed(2)} °C`;
+  if (!worker) { runMonteCarloInline(job, token, onProgress, onDone); return; }
 
-  // Ambient / Nominal card
-  if (meta.ambient) {
-    const t = meta.ambient;
-    // Class for Stretch: red (oob) if negative; else normal.
-    // Display for Stretch is clamped at 0.00 if negative (as requested).
-    const sCls = (out.stretchPct < 0) ? "oob" : "";
+  _mcWorker = worker;
+  worker.onmessage = e => {
+    if (token !== _mcRunToken) return;
+    if (e.data.type === "progress") onProgress(e.data.done);
+    else if (e.data.type === "done") onDone(e.data.result);
+  };
+  worker.onerror = e => {
+    console.warn("Simulation worker failed; running inline:", e.message);
+    worker.terminate();
+    _mcWorker = null;
+    runMonteCarloInline(job, token, onProgress, onDone);
+  };
+  worker.postMessage(job);
+}
 
-    // Compression: red if outside 15–25% band OR negative.
-    // Display: clamp at 0.00 if negative, otherwise show actual.
-    const isCompNeg = (t.compressionPct < 0);
-    const cDisplay  = (isCompNeg ? 0 : t.compressionPct);
-    const cCls      = (isCompNeg || !(t.compressionPct >= 15 && t.compressionPct <= 25)) ? "oob" : "";
+/** Inline SVG histogram with the allowed band shaded and limits dashed */
+function histogramSvg(summary, band, title){
+  const W = 300, H = 140, L = 10, R = 10, T = 22, B = 24;
+  if (!summary) return "";
+
+  const { counts } = summary.hist;
+  const lo = Math.min(summary.hist.lo, Number.isFinite(band.lo) ? band.lo : Infinity);
+  const hi = Math.max(summary.hist.hi, Number.isFinite(band.hi) ? band.hi : -Infinity);
+  const span = (hi - lo) || 1;
+  const x = v => L + (v - lo) / span * (W - L - R);
+  const peak = Math.max(...counts, 1);
+  const binW = (summary.hist.hi - summary.hist.lo) / counts.length;
+
+  const bandLo = Number.isFinite(band.lo) ? band.lo : lo;
+  const bandHi = Number.isFinite(band.hi) ? band.hi : hi;
+
+  const bars = counts.map((c, i) => {
+    const x0 = x(summary.hist.lo + i * binW), x1 = x(summary.hist.lo + (i + 1) * binW);
+    const h = c / peak * (H - T - B);
+    return `<rect x="${x0.toFixed(1)}" y="${(H - B - h).toFixed(1)}" width="${Math.max(0.5, x1 - x0 - 0.5).toFixed(1)}" height="${h.toFixed(1)}" fill="#2563eb"/>`;
+  }).join("");
+
+  const limit = v => Number.isFinite(v)
+    ? `<line x1="${x(v).toFixed(1)}" y1="${T}" x2="${x(v).toFixed(1)}" y2="${H - B}" stroke="#b91c1c" stroke-dasharray="4 3"/>`
+    : "";
+
+  return `
+    <svg class="sim-hist" viewBox="0 0 ${W} ${H}" width="100%" role="img" aria-label="${title}">
+      <rect x="${x(bandLo).toFixed(1)}" y="${T}" width="${(x(bandHi) - x(bandLo)).toFixed(1)}" height="${H - T - B}" fill="#dcfce7"/>
+      ${bars}
+      ${limit(band.lo)}${limit(band.hi)}
+      <line x1="${x(summary.mean).toFixed(1)}" y1="${T}" x2="${x(summary.mean).toFixed(1)}" y2="${H - B}" stroke="#111" stroke-width="1.5"/>
+      <line x1="${L}" y1="${H - B}" x2="${W - R}" y2="${H - B}" stroke="#9ca3af"/>
+      <text x="${L}" y="14" font-size="11" font-weight="600">${title}</text>
+      <text x="${L}" y="${H - 8}" font-size="10" fill="#6b7280">${lo.toFixed(1)}%</text>
+      <text x="${W - R}" y="${H - 8}" font-size="10" fill="#6b7280" text-anchor="end">${hi.toFixed(1)}%</text>
+    </svg>`;
+}
 
-    // Gland Fill: red if >90% OR negative.
-    // Display: clamp at 0.00 if negative, otherwise show actual.
-    const isFillNeg = (t.glandFillPct < 0);
-    const fDisplay  = (isFillNeg ? 0 : t.glandFillPct);
-    const fCls      = (isFillNeg || !(t.glandFillPct <= 90)) ? "oob" : "";
+/** Statistics table + per-temperature histograms */
+function renderMonteCarloResults(res, meta){
+  const box = document.getElementById("mcResults");
+  if (!box) return;
 
-    const card = document.createElement("div");
-    card.className = "results-panel";
-    card.innerHTML = `
-      <div class="results-header">Ambient Temperature (23 °C)</div>
-      <!--<div class="results-subheader">Nominal</div>-->
-      <div class="results-row"><span>Stretch</span><span class="${sCls}">${Math.max(0, stretchPct).toFixed(2)}%</span></div>
-      <div class="results-row"><span>Compression</span><span class="${cCls}">${cDisplay.toFixed(2)}%</span></div>
-      <div class="results-row"><span>Gland Fill</span><span class="${fCls}">${fDisplay.toFixed(2)}%</span></div>
-    `;
-    grid.appendChild(card);
-  }
+  const pctCell = v => `${v.toFixed(2)}%`;
+  const row = (label, s, showOut) => s ? `
+    <tr>
+      <td>${label}</td>
+      <td>${pctCell(s.mean)}</td><td>${s.std.toFixed(2)}</td>
+      <td>${pctCell(s.p[1])}</td><td>${pctCell(s.p[5])}</td><td>${pctCell(s.p[50])}</td>
+      <td>${pctCell(s.p[95])}</td><td>${pctCell(s.p[99])}</td>
+      <td class="${showOut && s.outPct > 0 ? "oob" : ""}">${showOut ? pctCell(s.outPct) : "–"}</td>
+    </tr>` : "";
+
+  const at = t => {
+    const lbl = tempCaseLabel(meta, t.tempC);
+    return `${lbl ? lbl + " " : ""}${formatTempDisplay(t.tempC)}`;
+  };
 
-  // Operating temp cards
-  function addOpCard(label, entry){
-    if (!entry) return;
-  
-    // Compression: red if outside 15–25% or negative; clamp negatives to 0.00
-    const compNeg = (entry.compressionPct < 0);
-    const compDisp= compNeg ? 0 : entry.compressionPct;
-    const cCls    = (compNeg || !(entry.compressionPct >= 15 && entry.compressionPct <= 25)) ? "oob" : "";
-  
-    // Gland Fill: red if >90% or negative; clamp negatives to 0.00
-    const fillNeg = (entry.glandFillPct < 0);
-    const fillDisp= fillNeg ? 0 : entry.glandFillPct;
-    const fCls    = (fillNeg || !(entry.glandFillPct <= 90)) ? "oob" : "";
-  
-    const card = document.createElement("div");
-    card.className = "results-panel";
-    card.innerHTML = `
-      <div class="results-header">Operating Temperature (${label}) ${toDisp(entry.tempC)}</div>
-      <div class="results-row"><span>Compression</span><span class="${cCls}">${compDisp.toFixed(2)}%</span></div>
-      <div class="results-row"><span>Gland Fill</span><span class="${fCls}">${fillDisp.toFixed(2)}%</span></div>
-    `;
-    grid.appendChild(card);
-  }
+  const rows = [row("Stretch", res.stretch, true)];
+  res.temperatureResults.forEach(t => {
+    rows.push(row(`Compression @ ${at(t)}`, t.compression, true));
+    rows.push(row(`Gland Fill @ ${at(t)}`, t.fill, true));
+  });
 
-  addOpCard("Min", meta.min);
-  addOpCard("Nominal", meta.nominal);
-  addOpCard("Max", meta.max);
+  const { compMin, compMax, fillMax, stretchMin, stretchMax } = res.limits;
+  const hists = res.temperatureResults.map(t => `
+    <div class="sim-hist-card">
+      <div class="sim-hist-title">${at(t)}</div>
+      ${histogramSvg(t.compression, { lo: compMin, hi: compMax }, "Compression %")}
+      ${histogramSvg(t.fill, { lo: -Infinity, hi: fillMax }, "Gland Fill %")}
+    </div>
+  `).join("");
+
+  box.innerHTML = `
+    <div class="sim-summary">
+      Predicted out-of-spec (stretch outside ${stretchMin}–${stretchMax}%, or at any temperature compression outside ${compMin}–${compMax}% or fill &gt; ${fillMax}%):
+      <span class="${res.anyOutPct > 0 ? "oob" : ""}">${res.anyOutPct.toFixed(2)}%</span>
+    </div>
+    <div class="stackup-scroll">
+      <table class="stackup-table">
+        <thead>
+          <tr><th></th><th>Mean</th><th>σ</th><th>P1</th><th>P5</th><th>P50</th><th>P95</th><th>P99</th><th>Out of spec</th></tr>
+        </thead>
+        <tbody>${rows.join("")}</tbody>
+      </table>
+    </div>
+    <div class="sim-hist-grid">${hists}</div>
+  `;
 }
 
 
@@ -1042,6 +5461,12 @@ function runCalculation(){
     renderAlertsBanner([]);
     const grid = document.getElementById("resultsGrid");
     if (grid) grid.innerHTML = "";
+    renderRulesNote(null);
+    renderStackupPanel(null);
+    renderSweepPanel(null);
+    renderSealLifePanel(null);
+    cancelMonteCarlo();
+    setMonteCarloEnabled(false);
     hasCalculated = false;
     const exportBtn=document.getElementById("exportBtn");
     if (exportBtn) { exportBtn.disabled = true; exportBtn.classList.add("disabled"); }
@@ -1049,94 +5474,699 @@ function runCalculation(){
   }
 
   // 2) Gather inputs from originals
-  const readOrig = id => {
-    const el=document.getElementById(id);
-    return Number(el?.dataset.originalValue);
-  };
-
-  const params = {
-    cs: readOrig("oringCS"),
-    id: readOrig("oringID"),
-    gw: readOrig("glandWidth"),
-    gd: readOrig("glandDepth"),
-    angle: Number(document.getElementById("glandAngle").value),
-    rTop: readOrig("glandTopR"),
-    rBottom: readOrig("glandBottomR"),
-    gap: readOrig("gap"),
-    centerline: readOrig("glandCenterline"),
-    alpha: Number(document.getElementById("alpha").value) || ALPHA_DEFAULT
-  };
+  const params = readCalcParams();
+  const tols   = readTolerances();
 
   // 3) Build temperature list (canonical °C)
-  const tAmbientC = AMBIENT;
-  const tMinC = readTempC("tempMin");
-  const tNomC = readTempC("tempNom");
-  const tMaxC = readTempC("tempMax");
-
-  const temps = [tAmbientC];
-  if (Number.isFinite(tMinC)) temps.push(tMinC);
-  if (Number.isFinite(tNomC)) temps.push(tNomC);
-  if (Number.isFinite(tMaxC)) temps.push(tMaxC);
+  const cases = readOperatingTemps();
+  const tempsFinal = cases.temps;
 
-  const uniqSorted = [...new Set(temps.slice(1))].sort((a,b)=>a-b);
-  const tempsFinal = [tAmbientC, ...uniqSorted];
-
-  // 4) Compute
+  // 4) Compute (nominal + tolerance stack-up + retention)
   const out = calculateDovetail(params, tempsFinal);
+  const stack = calculateToleranceStackup(params, tols, tempsFinal);
+  const retention = calculateRetention(params);
+  const geometry = compareGlandModels(params);
+  const extrusion = calculateExtrusion(params, tempsFinal, readPressureMPa());
+
+  const range = sweepRange(cases);
+  const profile = readRuleProfile();
+  const limits = readRules();
+  const maxEntry = out.temperatureResults.find(e => e.tempC === cases.max);
+  const life = maxEntry
+    ? estimateSealLife(readMaterial()?.family, cases.max, maxEntry.compressionPct, readDesignLifeHours(), limits.compMin)
+    : null;
+  const sweep = range
+    ? { ...range, limits, points: calculateTemperatureSweep(params, range.lo, range.hi) }
+    : null;
 
   // 5) Build meta map for cards
-  const meta = {};
-  out.temperatureResults.forEach(e => { if (e.tempC===tAmbientC) meta.ambient = e; });
-  if (Number.isFinite(tMinC)) meta.min     = out.temperatureResults.find(e=>e.tempC===tMinC);
-  if (Number.isFinite(tNomC)) meta.nominal = out.temperatureResults.find(e=>e.tempC===tNomC);
-  if (Number.isFinite(tMaxC)) meta.max     = out.temperatureResults.find(e=>e.tempC===tMaxC);
-
-  // 6) RED/AMBER banners before results
-  const redWarnings = [
-    ...evaluateWarnings(out),
-    ...collectNominalCompressionWarning(meta.nominal)
-  ];
-  renderWarningsBanner(redWarnings);
+  const meta = buildTempMeta(out, cases);
 
-  // For now, no amber alerts; framework ready if you want advisory items
-  const amberAlerts = evaluateAmbers(out, meta, params);
-  renderAlertsBanner(amberAlerts);
+  // 6) RED/AMBER banners before results (nominal first, then tolerance extremes)
+  const material = readMaterial();
+  const media = readMediaInfo();
+  const findings = collectFindings({ out, meta, stack, params, limits, cases, material, media, retention, extrusion, life, geometry });
+  renderWarningsBanner(findings.red);
+  renderAlertsBanner(findings.amber);
 
   // 7) Render results
-  renderResultsGrid(out, meta, out.stretchPct);
+  renderRulesNote(profile, limits);
+  renderResultsGrid(out, meta, out.stretchPct, retention, limits, geometry, extrusion, life);
+  renderStackupPanel(stack, meta, limits);
+  renderSweepPanel(sweep);
+  renderSealLifePanel(life);
 
   // 8) Bookkeeping
-  _lastRender = { out, meta };
+  _lastRender = { out, meta, stack, params, cases, material, media, retention, geometry, extrusion, life, sweep, profile, limits };
   hasCalculated = true;
 
   const exportBtn=document.getElementById("exportBtn");
   if (exportBtn) { exportBtn.disabled=false; exportBtn.classList.remove("disabled"); }
 
-  updateGlandInfoPanel(); // safe no-op
+  // Any earlier simulation belongs to the previous inputs
+  cancelMonteCarlo();
+  setMonteCarloEnabled(true);
+
+  updateGlandInfoPanel(); // redraw diagram
   saveSessionDebounced();
 }
 
 /** Re-render results and banners after unit/temperature changes */
 function renderLastResults(){
   if (!_lastRender) return;
-  const { out, meta } = _lastRender;
+  const { out, meta, stack, retention, geometry, extrusion, life, sweep, profile, limits } = _lastRender;
+
+  // Findings are rebuilt so lengths, pressures and times follow the new units
+  const findings = collectFindings(_lastRender);
+  renderWarningsBanner(findings.red);
+  renderAlertsBanner(findings.amber);
+
+  renderRulesNote(profile, limits);
+  renderResultsGrid(out, meta, out.stretchPct, retention, limits, geometry, extrusion, life);
+  renderStackupPanel(stack, meta, limits);
+  renderSweepPanel(sweep);
+  renderSealLifePanel(life);
+  if (_mcLast) renderMonteCarloResults(_mcLast.result, _mcLast.meta);
+}
+
+
+/* =====================================================================================
+   EXPORT — PDF REPORT (generated in the browser; no libraries, works offline)
+   -------------------------------------------------------------------------------------
+   - A4 pages in points, laid out top-down (y grows downwards) and flipped on output.
+   - Built-in Helvetica fonts with WinAnsi text; symbols outside it are spelled out.
+   - The gland diagram is redrawn as vectors from its SVG.
+   ===================================================================================== */
+
+const REPORT_META_LS_KEY = "gland_report_meta_v1";
+const REPORT_META_FIELDS = ["reportProject","reportPartNo","reportAuthor","reportRevision","reportDate"];
+const PDF_PAGE = { w: 595.28, h: 841.89, margin: 42, footer: 24 };   // A4 portrait, pt
+const PDF_RED = "#b91c1c", PDF_AMBER = "#b45309", PDF_GREY = "#6b7280", PDF_RULE = "#d1d5db";
+
+/** Helvetica advance widths (1/1000 em) for ASCII 32–126; bold is taken as 6 % wider */
+const HELVETICA_WIDTHS = [
+  278,278,355,556,556,889,667,191,333,333,389,584,278,333,278,278,
+  556,556,556,556,556,556,556,556,556,556,278,278,584,584,584,556,
+  1015,667,667,722,722,667,611,778,722,278,500,667,556,833,722,778,
+  667,778,722,667,611,722,667,944,667,667,611,278,278,278,469,556,
+  333,556,556,500,556,556,278,556,556,222,222,500,222,833,556,556,
+  556,556,333,500,278,556,500,722,500,500,500,334,260,334,584
+];
+
+/** Unicode → WinAnsi code points that differ from Latin-1 */
+const WIN_ANSI = { "€":0x80, "…":0x85, "‘":0x91, "’":0x92, "“":0x93, "”":0x94, "•":0x95, "–":0x96, "—":0x97, "™":0x99 };
+
+/** Symbols the standard fonts lack */
+const PDF_TEXT_SUBS = { "−":"-", "≤":"<=", "≥":">=", "∠":"angle ", "Δ":"delta ", "α":"alpha", "→":"->", "₁":"1", "₂":"2", "✓":"OK", "⚠":"!", "≈":"~", "‑":"-", "‐":"-" };
+
+/** Text as WinAnsi characters (one char per byte) */
+function pdfAnsi(str){
+  return Array.from(String(str ?? "")).map(ch => {
+    if (PDF_TEXT_SUBS[ch] !== undefined) return PDF_TEXT_SUBS[ch];
+    if (WIN_ANSI[ch]) return String.fromCharCode(WIN_ANSI[ch]);
+    const c = ch.charCodeAt(0);
+    if (c === 0x202F || c === 0x2009) return " ";
+    return (c < 256) ? ch : "?";
+  }).join("");
+}
+
+/** PDF string literal body: escapes, and octal for bytes outside printable ASCII */
+function pdfEscape(ansi){
+  return ansi.replace(/[\\()]/g, m => "\\" + m)
+    .replace(/[^\x20-\x7e]/g, m => "\\" + m.charCodeAt(0).toString(8).padStart(3, "0"));
+}
+
+/** Width of a string in points */
+function pdfTextWidth(str, size, bold = false){
+  const ansi = pdfAnsi(str);
+  let w = 0;
+  for (let i = 0; i < ansi.length; i++){
+    const c = ansi.charCodeAt(i);
+    w += (c >= 32 && c <= 126) ? HELVETICA_WIDTHS[c - 32] : (c === 0x97 || c === 0x85 ? 1000 : 556);
+  }
+  return w / 1000 * size * (bold ? 1.06 : 1);
+}
+
+/** Greedy word wrap to a width (long words are left to overflow) */
+function pdfWrap(str, size, maxW, bold = false){
+  const out = [];
+  String(str ?? "").split("\n").forEach(par => {
+    let line = "";
+    par.split(/\s+/).filter(Boolean).forEach(word => {
+      const next = line ? `${line} ${word}` : word;
+      if (line && pdfTextWidth(next, size, bold) > maxW) { out.push(line); line = word; }
+      else line = next;
+    });
+    out.push(line);
+  });
+  return out;
+}
+
+/** "#rgb", "#rrggbb" or "rgba(r,g,b,a)" (alpha blended onto white) → "r g b"; null for none */
+function pdfColor(css){
+  if (!css || css === "none" || css === "transparent") return null;
+  let r, g, b, a = 1;
+  const hex = css.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  const rgb = css.match(/^rgba?\(([^)]+)\)$/i);
+  if (hex) {
+    const h = hex[1].length === 3 ? hex[1].replace(/./g, "$&$&") : hex[1];
+    [r, g, b] = [0, 2, 4].map(i => parseInt(h.slice(i, i + 2), 16));
+  } else if (rgb) {
+    [r, g, b, a = 1] = rgb[1].split(",").map(Number);
+  } else if (css === "white") {
+    [r, g, b] = [255, 255, 255];
+  } else {
+    [r, g, b] = [0, 0, 0];
+  }
+  const mix = v => ((v * a + 255 * (1 - a)) / 255).toFixed(3);
+  return `${mix(r)} ${mix(g)} ${mix(b)}`;
+}
+
+const pdfNum = v => Number(v.toFixed(2)).toString();
+
+/* ---------- Document: pages of drawing operators ---------- */
+
+function pdfNewDoc(){
+  const doc = { pages: [], ops: null, y: 0 };
+  pdfAddPage(doc);
+  return doc;
+}
+
+function pdfAddPage(doc){
+  doc.ops = [];
+  doc.pages.push(doc.ops);
+  doc.y = PDF_PAGE.margin;
+}
+
+/** Start a new page unless `h` points still fit above the footer */
+function pdfEnsure(doc, h){
+  if (doc.y + h > PDF_PAGE.h - PDF_PAGE.margin - PDF_PAGE.footer) { pdfAddPage(doc); return true; }
+  return false;
+}
+
+/** Text with its baseline at (x, y); align "left" | "center" | "right" */
+function pdfText(doc, x, y, str, { size = 9, bold = false, color = "#111827", align = "left" } = {}){
+  const w = pdfTextWidth(str, size, bold);
+  const x0 = align === "right" ? x - w : align === "center" ? x - w / 2 : x;
+  doc.ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${pdfColor(color)} rg ${pdfNum(x0)} ${pdfNum(PDF_PAGE.h - y)} Td (${pdfEscape(pdfAnsi(str))}) Tj ET`);
+}
+
+function pdfLine(doc, x1, y1, x2, y2, { color = PDF_RULE, width = 0.5 } = {}){
+  doc.ops.push(`${pdfColor(color)} RG ${width} w ${pdfNum(x1)} ${pdfNum(PDF_PAGE.h - y1)} m ${pdfNum(x2)} ${pdfNum(PDF_PAGE.h - y2)} l S`);
+}
+
+function pdfRect(doc, x, y, w, h, { fill = null, stroke = PDF_RULE, width = 0.5 } = {}){
+  const paint = fill && stroke ? "B" : fill ? "f" : "S";
+  doc.ops.push(`${fill ? `${pdfColor(fill)} rg ` : ""}${stroke ? `${pdfColor(stroke)} RG ${width} w ` : ""}` +
+    `${pdfNum(x)} ${pdfNum(PDF_PAGE.h - y - h)} ${pdfNum(w)} ${pdfNum(h)} re ${paint}`);
+}
+
+/** Section heading with a rule; keeps at least `keep` points of content with it */
+function pdfHeading(doc, title, keep = 60){
+  pdfEnsure(doc, 26 + keep);
+  doc.y += 14;
+  pdfText(doc, PDF_PAGE.margin, doc.y, title, { size: 11, bold: true });
+  doc.y += 4;
+  pdfLine(doc, PDF_PAGE.margin, doc.y, PDF_PAGE.w - PDF_PAGE.margin, doc.y, { color: "#9ca3af", width: 0.8 });
+  doc.y += 8;
+}
+
+/**
+ * Table with wrapped cells. `cols` = [{ title, w (fraction), align }]; a row is an array
+ * of strings or { text, color, bold }. The header repeats after a page break.
+ */
+function pdfTable(doc, cols, rows, { size = 8.5, header = true } = {}){
+  const x0 = PDF_PAGE.margin, full = PDF_PAGE.w - 2 * PDF_PAGE.margin, pad = 3, lh = size * 1.25;
+  const widths = cols.map(c => c.w * full);
+  const cell = v => (v && typeof v === "object") ? v : { text: v ?? "" };
+
+  const drawRow = (cells, opts = {}) => {
+    const lines = cells.map((c, i) => pdfWrap(cell(c).text, size, widths[i] - 2 * pad, opts.bold || cell(c).bold));
+    const h = Math.max(...lines.map(l => l.length)) * lh + 2 * pad;
+    if (pdfEnsure(doc, h) && header && !opts.isHeader) drawRow(cols.map(c => c.title), { bold: true, fill: "#f3f4f6", isHeader: true });
+    if (opts.fill) pdfRect(doc, x0, doc.y, full, h, { fill: opts.fill, stroke: null });
+    let x = x0;
+    lines.forEach((ls, i) => {
+      const c = cell(cells[i]);
+      const align = cols[i].align || "left";
+      const tx = align === "right" ? x + widths[i] - pad : x + pad;
+      ls.forEach((t, k) => pdfText(doc, tx, doc.y + pad + (k + 1) * lh - size * 0.25, t,
+        { size, bold: opts.bold || c.bold, color: c.color || "#111827", align }));
+      x += widths[i];
+    });
+    doc.y += h;
+    pdfLine(doc, x0, doc.y, x0 + full, doc.y);
+  };
+
+  if (header) drawRow(cols.map(c => c.title), { bold: true, fill: "#f3f4f6", isHeader: true });
+  rows.forEach(r => drawRow(r));
+}
 
-  const redWarnings = [
-    ...evaluateWarnings(out),
-    ...collectNominalCompressionWarning(meta.nominal)
+/** Wrapped paragraph across the text width */
+function pdfParagraph(doc, str, { size = 9, color = "#111827", bold = false, indent = 0 } = {}){
+  const lh = size * 1.3;
+  pdfWrap(str, size, PDF_PAGE.w - 2 * PDF_PAGE.margin - indent, bold).forEach(line => {
+    pdfEnsure(doc, lh);
+    doc.y += lh;
+    pdfText(doc, PDF_PAGE.margin + indent, doc.y - size * 0.3, line, { size, color, bold });
+  });
+}
+
+/* ---------- SVG → PDF vectors (the subset the diagrams use) ---------- */
+
+/** Path data → absolute segments [["M",x,y] | ["L",x,y] | ["C",x1,y1,x2,y2,x,y] | ["Z"]] */
+function svgPathSegments(d){
+  const tokens = String(d).match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) || [];
+  const segs = [];
+  let i = 0, cmd = "", x = 0, y = 0, sx = 0, sy = 0;
+  const num = () => Number(tokens[i++]);
+
+  while (i < tokens.length){
+    if (/[a-zA-Z]/.test(tokens[i])) cmd = tokens[i++];
+    const rel = cmd === cmd.toLowerCase();
+    const C = cmd.toUpperCase();
+    if (C === "Z") { segs.push(["Z"]); x = sx; y = sy; continue; }
+    if (C === "M" || C === "L") {
+      const nx = num() + (rel ? x : 0), ny = num() + (rel ? y : 0);
+      segs.push([C, nx, ny]);
+      if (C === "M") { sx = nx; sy = ny; cmd = rel ? "l" : "L"; }
+      x = nx; y = ny;
+    } else if (C === "H") {
+      x = num() + (rel ? x : 0); segs.push(["L", x, y]);
+    } else if (C === "V") {
+      y = num() + (rel ? y : 0); segs.push(["L", x, y]);
+    } else if (C === "C") {
+      const v = [num(), num(), num(), num(), num(), num()].map((n, k) => n + (rel ? (k % 2 ? y : x) : 0));
+      segs.push(["C", ...v]); x = v[4]; y = v[5];
+    } else if (C === "A") {
+      const [rx, ry, rot, large, sweep] = [num(), num(), num(), num(), num()];
+      const nx = num() + (rel ? x : 0), ny = num() + (rel ? y : 0);
+      segs.push(...svgArcToCubics(x, y, rx, ry, rot, large, sweep, nx, ny));
+      x = nx; y = ny;
+    } else {
+      i++;   // unsupported command: skip its operand
+    }
+  }
+  return segs;
+}
+
+/** Elliptical arc (SVG endpoint form) as cubic Béziers, ≤ 90° each */
+function svgArcToCubics(x1, y1, rx, ry, rotDeg, large, sweep, x2, y2){
+  if (!rx || !ry) return [["L", x2, y2]];
+  rx = Math.abs(rx); ry = Math.abs(ry);
+  const phi = rotDeg * PI / 180, cos = Math.cos(phi), sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+  const xp = cos * dx + sin * dy, yp = -sin * dx + cos * dy;
+  const lam = xp * xp / (rx * rx) + yp * yp / (ry * ry);
+  if (lam > 1) { rx *= Math.sqrt(lam); ry *= Math.sqrt(lam); }
+
+  const sign = (large == sweep) ? -1 : 1;   // flags arrive as numbers
+  const num = rx*rx*ry*ry - rx*rx*yp*yp - ry*ry*xp*xp;
+  const co = sign * Math.sqrt(Math.max(0, num / (rx*rx*yp*yp + ry*ry*xp*xp)));
+  const cxp = co * rx * yp / ry, cyp = -co * ry * xp / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const ang = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const t1 = ang(1, 0, (xp - cxp) / rx, (yp - cyp) / ry);
+  let dt = ang((xp - cxp) / rx, (yp - cyp) / ry, (-xp - cxp) / rx, (-yp - cyp) / ry);
+  if (!Number(sweep) && dt > 0) dt -= 2 * PI;
+  if (Number(sweep) && dt < 0) dt += 2 * PI;
+
+  const n = Math.max(1, Math.ceil(Math.abs(dt) / (PI / 2)));
+  const step = dt / n, k = 4 / 3 * Math.tan(step / 4);
+  const pt = t => [cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin, cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos];
+  const dpt = t => [-rx * Math.sin(t) * cos - ry * Math.cos(t) * sin, -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos];
+
+  const segs = [];
+  for (let j = 0; j < n; j++){
+    const a = t1 + j * step, b = a + step;
+    const [ax, ay] = pt(a), [bx, by] = pt(b), [dax, day] = dpt(a), [dbx, dby] = dpt(b);
+    segs.push(["C", ax + k * dax, ay + k * day, bx - k * dbx, by - k * dby, bx, by]);
+  }
+  return segs;
+}
+
+/** Ellipse as a closed path (four Béziers) */
+function svgEllipseSegments(cx, cy, rx, ry){
+  const k = 0.5523;
+  return [
+    ["M", cx + rx, cy],
+    ["C", cx + rx, cy + k*ry, cx + k*rx, cy + ry, cx, cy + ry],
+    ["C", cx - k*rx, cy + ry, cx - rx, cy + k*ry, cx - rx, cy],
+    ["C", cx - rx, cy - k*ry, cx - k*rx, cy - ry, cx, cy - ry],
+    ["C", cx + k*rx, cy - ry, cx + rx, cy - k*ry, cx + rx, cy],
+    ["Z"]
   ];
-  renderWarningsBanner(redWarnings);
-  renderAlertsBanner([]);
+}
+
+/**
+ * Draw an <svg> element at (x, y) scaled to width `w`. Handles path, line, rect,
+ * circle, ellipse, polyline/polygon and text, solid/dashed strokes and the
+ * dimension-arrow markers. Returns the drawn height.
+ */
+function pdfDrawSvg(doc, svg, x, y, w){
+  const vb = (svg.getAttribute("viewBox") || "0 0 100 100").split(/[\s,]+/).map(Number);
+  const s = w / vb[2];
+  const X = v => x + (v - vb[0]) * s;
+  const Y = v => PDF_PAGE.h - (y + (v - vb[1]) * s);
+  const attr = (el, k, def) => el.getAttribute(k) ?? def;
+  const n = (el, k) => Number(el.getAttribute(k) || 0);
+
+  const pathOps = segs => segs.map(sg =>
+    sg[0] === "Z" ? "h"
+    : sg[0] === "C" ? `${pdfNum(X(sg[1]))} ${pdfNum(Y(sg[2]))} ${pdfNum(X(sg[3]))} ${pdfNum(Y(sg[4]))} ${pdfNum(X(sg[5]))} ${pdfNum(Y(sg[6]))} c`
+    : `${pdfNum(X(sg[1]))} ${pdfNum(Y(sg[2]))} ${sg[0] === "M" ? "m" : "l"}`
+  ).join(" ");
+
+  const paint = (el, segs, fillable) => {
+    const fill = fillable ? pdfColor(attr(el, "fill", "#000")) : null;
+    const stroke = pdfColor(attr(el, "stroke", "none"));
+    if (!fill && !stroke) return;
+    const dash = attr(el, "stroke-dasharray", "");
+    const sw = Number(attr(el, "stroke-width", 1)) * s;
+    doc.ops.push(`q ${fill ? `${fill} rg ` : ""}${stroke ? `${stroke} RG ${pdfNum(sw)} w ` : ""}` +
+      `${dash ? `[${dash.split(/[\s,]+/).map(v => pdfNum(Number(v) * s)).join(" ")}] 0 d ` : ""}` +
+      `${pathOps(segs)} ${fill && stroke ? "B" : fill ? "f" : "S"} Q`);
+  };
 
-  renderResultsGrid(out, meta, out.stretchPct);
+  // Dimension arrows: a small filled head at each marked end, pointing outwards
+  const arrowHead = (el, tipX, tipY, fromX, fromY) => {
+    const len = Math.hypot(tipX - fromX, tipY - fromY) || 1;
+    const ux = (tipX - fromX) / len, uy = (tipY - fromY) / len, L = 5, H = 1.8;
+    const bx = tipX - ux * L, by = tipY - uy * L;
+    const color = pdfColor(attr(el, "stroke", "#000"));
+    doc.ops.push(`q ${color} rg ${pdfNum(X(tipX))} ${pdfNum(Y(tipY))} m ` +
+      `${pdfNum(X(bx - uy * H))} ${pdfNum(Y(by + ux * H))} l ${pdfNum(X(bx + uy * H))} ${pdfNum(Y(by - ux * H))} l h f Q`);
+  };
+
+  svg.querySelectorAll("path, line, rect, circle, ellipse, polyline, polygon, text").forEach(el => {
+    if (el.closest("defs, marker")) return;
+    const tag = el.tagName.toLowerCase();
+    if (tag === "path") {
+      const d = attr(el, "d", "");
+      paint(el, svgPathSegments(d), attr(el, "fill", "none") !== "none");
+    } else if (tag === "line") {
+      const [x1, y1, x2, y2] = ["x1","y1","x2","y2"].map(k => n(el, k));
+      paint(el, [["M", x1, y1], ["L", x2, y2]], false);
+      if (el.getAttribute("marker-end")) arrowHead(el, x2, y2, x1, y1);
+      if (el.getAttribute("marker-start")) arrowHead(el, x1, y1, x2, y2);
+    } else if (tag === "rect") {
+      const [rx, ry, rw, rh] = ["x","y","width","height"].map(k => n(el, k));
+      paint(el, [["M", rx, ry], ["L", rx + rw, ry], ["L", rx + rw, ry + rh], ["L", rx, ry + rh], ["Z"]], true);
+    } else if (tag === "circle" || tag === "ellipse") {
+      const r = n(el, "r");
+      paint(el, svgEllipseSegments(n(el, "cx"), n(el, "cy"), r || n(el, "rx"), r || n(el, "ry")), true);
+    } else if (tag === "polyline" || tag === "polygon") {
+      const pts = attr(el, "points", "").trim().split(/[\s,]+/).map(Number);
+      const segs = [];
+      for (let k = 0; k + 1 < pts.length; k += 2) segs.push([k ? "L" : "M", pts[k], pts[k + 1]]);
+      if (tag === "polygon") segs.push(["Z"]);
+      paint(el, segs, tag === "polygon");
+    } else if (tag === "text") {
+      const anchor = attr(el, "text-anchor", "start");
+      pdfText(doc, X(n(el, "x")), PDF_PAGE.h - Y(n(el, "y")), el.textContent.trim(), {
+        size: Number(attr(el, "font-size", 10)) * s,
+        color: attr(el, "fill", "#111827"),
+        align: anchor === "middle" ? "center" : anchor === "end" ? "right" : "left"
+      });
+    }
+  });
+  return vb[3] * s;
 }
 
+/* ---------- Serialise ---------- */
 
-/* =====================================================================================
-   EXPORT
-   ===================================================================================== */
+/** Objects, xref and trailer for the collected pages (bytes as a binary string) */
+function pdfSerialize(doc, info){
+  const objs = [];
+  const add = body => { objs.push(body); return objs.length; };
+
+  const catalog = add(null), pagesId = add(null);
+  const f1 = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  const f2 = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+
+  const kids = doc.pages.map(ops => {
+    const stream = ops.join("\n");
+    const content = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PDF_PAGE.w} ${PDF_PAGE.h}] ` +
+      `/Resources << /Font << /F1 ${f1} 0 R /F2 ${f2} 0 R >> >> /Contents ${content} 0 R >>`);
+  });
+  objs[catalog - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objs[pagesId - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+
+  const infoId = add(`<< ${Object.entries(info).map(([k, v]) => `/${k} (${pdfEscape(pdfAnsi(v))})`).join(" ")} >>`);
+
+  let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = objs.map((body, i) => {
+    const at = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objs.length + 1}\n0000000000 65535 f \n` +
+    offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("") +
+    `trailer\n<< /Size ${objs.length + 1} /Root ${catalog} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return out;
+}
+
+/* ---------- Report content ---------- */
+
+/** Plain text of a form label (tooltip, info icon and required star dropped) */
+function formLabelText(label){
+  const name = label.cloneNode(true);
+  name.querySelectorAll(".tooltip, .info-icon").forEach(el => el.remove());
+  name.querySelectorAll("sup").forEach(el => { if (el.textContent === "o") el.textContent = "°"; });
+  return name.textContent.replace(/\s+/g, " ").replace(/\s*\*\s*$/, "").trim();
+}
+
+/** Visible form rows as [label, value with unit] (hidden gland-type rows are skipped) */
+function collectReportInputs(){
+  const rows = [];
+  document.querySelectorAll(".left-panel .form-grid > .label").forEach(label => {
+    if (getComputedStyle(label).display === "none") return;
+    const cell = label.nextElementSibling;
+    if (!cell || !cell.classList.contains("input-cell")) return;
+
+    const title = formLabelText(label);
+
+    let value;
+    if (cell.classList.contains("temp-block")) {
+      value = ["tempMin","tempNom","tempMax"].map(id => document.getElementById(id)?.value || "–").join(" / ")
+        + ` ${tempUnit} (min / nominal / max)`;
+    } else {
+      const main = cell.querySelector("input:not(.tol-field), select:not(.unit-select)");
+      const tol = cell.querySelector(".tol-field");
+      const unitSel = cell.querySelector("select.unit-select");
+      const unitTxt = [...cell.querySelectorAll(".unit-text")].map(u => u.textContent.trim()).filter(Boolean).join(" ");
+      const v = main?.tagName === "SELECT" ? (main.selectedOptions[0]?.textContent || "") : (main?.value || "");
+      value = v === "" ? "–" : [
+        v,
+        tol && tol.value !== "" ? `± ${tol.value}` : "",
+        unitSel ? unitSel.value : "",
+        unitTxt
+      ].filter(Boolean).join(" ");
+    }
+    rows.push([title, value]);
+  });
+  return rows;
+}
+
+/** Title-block values from the export dialog (date defaults to today) */
+function readReportMeta(){
+  const val = id => (document.getElementById(id)?.value || "").trim();
+  return {
+    project: val("reportProject"),
+    partNo: val("reportPartNo"),
+    author: val("reportAuthor"),
+    revision: val("reportRevision"),
+    date: val("reportDate") || new Date().toISOString().slice(0, 10)
+  };
+}
+
+/** Lay out the whole report for the last calculation; returns the PDF as a binary string */
+function buildReportPdf(meta){
+  const { out, meta: temps, profile, limits } = _lastRender;
+  const { red: redWarnings, amber: amberAlerts } = collectFindings(_lastRender);
+  const doc = pdfNewDoc();
+  const M = PDF_PAGE.margin, full = PDF_PAGE.w - 2 * M;
+  const now = new Date();
+  const stamp = `${now.toISOString().slice(0, 10)} ${now.toTimeString().slice(0, 5)}`;
+
+  // Title block
+  pdfText(doc, M, doc.y + 14, "O-Ring / Gland Analysis Report", { size: 16, bold: true });
+  pdfText(doc, PDF_PAGE.w - M, doc.y + 14, GLAND_TYPES[readGlandType()].label + " gland", { size: 10, color: PDF_GREY, align: "right" });
+  doc.y += 24;
+  const tb = [
+    ["Project", meta.project || "–"], ["Part Number", meta.partNo || "–"],
+    ["Author", meta.author || "–"],   ["Revision", meta.revision || "–"],
+    ["Date", meta.date],              ["Tool Version", `v${APP_VERSION}`]
+  ];
+  const cellW = full / 2, cellH = 26;
+  tb.forEach(([k, v], i) => {
+    const cx = M + (i % 2) * cellW, cy = doc.y + Math.floor(i / 2) * cellH;
+    pdfRect(doc, cx, cy, cellW, cellH, { stroke: "#9ca3af" });
+    pdfText(doc, cx + 5, cy + 9, k.toUpperCase(), { size: 6.5, color: PDF_GREY, bold: true });
+    pdfText(doc, cx + 5, cy + 21, v, { size: 10 });
+  });
+  doc.y += cellH * Math.ceil(tb.length / 2);
+
+  // Inputs
+  pdfHeading(doc, `Design Inputs (${unit}, ${tempUnit})`);
+  pdfTable(doc, [{ title: "Input", w: 0.42 }, { title: "Value", w: 0.58 }], collectReportInputs());
+
+  // Material, size and rules sources
+  const mat = readMaterial();
+  const sizeSrc = oringSizeRef
+    ? `${describeSizeRef(oringSizeRef)} — ${SIZE_SERIES[oringSizeRef.series]?.label || `imported catalog "${seriesStandard(oringSizeRef.series)}"`}`
+    : "Entered manually (no standard size)";
+  const matSrc = !mat ? "–"
+    : mat.label === mat.family ? `${mat.label} (built-in group)`
+    : `${mat.label} (library compound, ${mat.family} family${mat.alphaTable ? ", CTE table" : ""})`;
+  pdfHeading(doc, "Material, Size and Rule Sources");
+  pdfTable(doc, [{ title: "Item", w: 0.25 }, { title: "Source", w: 0.75 }], [
+    ["Material", matSrc],
+    ["O-ring size", sizeSrc],
+    ["Design rules", describeRules(profile, limits)]
+  ]);
+
+  // Per-temperature results
+  const { compMin, compMax, fillMax, stretchMin, stretchMax } = limits;
+  const flag = (v, ok, txt) => ok ? txt : { text: `${txt} *`, color: PDF_RED, bold: true };
+  const hasLoad = out.temperatureResults.some(e => e.loadPerLength != null);
+  const cases = [["Ambient", temps.ambient], ["Min", temps.min], ["Nominal", temps.nominal], ["Max", temps.max]]
+    .filter(([, e]) => e);
+  const cols = [
+    { title: "Condition", w: 0.12 }, { title: "Temp", w: 0.1, align: "right" },
+    { title: "Stretch", w: 0.1, align: "right" }, { title: "Installed CS", w: 0.13, align: "right" },
+    { title: "Compression", w: 0.13, align: "right" }, { title: "Gland Fill", w: 0.12, align: "right" },
+    ...(hasLoad ? [{ title: "Load / Length", w: 0.15, align: "right" }, { title: "Closure Force", w: 0.15, align: "right" }] : [])
+  ];
+  if (!hasLoad) cols.forEach(c => { c.w = c.w / 0.70; });
+  pdfHeading(doc, "Results by Temperature", 80);
+  pdfTable(doc, cols, cases.map(([label, e]) => [
+    label,
+    formatTempDisplay(e.tempC),
+    flag(e.stretchPct, e.stretchPct >= stretchMin && e.stretchPct <= stretchMax, `${Math.max(0, e.stretchPct).toFixed(2)}%`),
+    formatLength(e.installedCs),
+    flag(e.compressionPct, e.compressionPct >= compMin && e.compressionPct <= compMax, `${Math.max(0, e.compressionPct).toFixed(2)}%`),
+    flag(e.glandFillPct, e.glandFillPct >= 0 && e.glandFillPct <= fillMax, `${Math.max(0, e.glandFillPct).toFixed(2)}%`),
+    ...(hasLoad ? [e.loadPerLength == null ? "–" : formatLineLoad(e.loadPerLength), e.closureForce == null ? "–" : formatForce(e.closureForce)] : [])
+  ]));
+  doc.y += 4;
+  pdfParagraph(doc, `* outside the active design rules. O-ring volume ${formatVolume(out.oringVolume)}, gland volume ${formatVolume(out.glandVolume)}` +
+    (out.swellPct ? `, media volume swell ${formatSignedPct(out.swellPct)}.` : "."), { size: 8, color: PDF_GREY });
+
+  // Other result cards as shown on screen (geometry, extrusion, retention, seal life, …)
+  const cards = [...document.querySelectorAll("#resultsGrid .results-panel")].filter(card => {
+    const h = card.querySelector(".results-header")?.textContent || "";
+    return !/^(Ambient|Operating) Temperature/.test(h.trim());
+  });
+  if (cards.length) {
+    pdfHeading(doc, "Additional Results");
+    cards.forEach(card => {
+      const rows = [...card.querySelectorAll(".results-row")].map(r => {
+        const [k, v] = r.querySelectorAll("span");
+        const bad = v?.classList.contains("oob"), warn = v?.classList.contains("warn-val");
+        const text = (v?.textContent || "").trim();
+        return [(k?.textContent || "").trim(), bad ? { text, color: PDF_RED, bold: true } : warn ? { text, color: PDF_AMBER } : text];
+      });
+      pdfEnsure(doc, 40);
+      pdfParagraph(doc, card.querySelector(".results-header")?.textContent.trim() || "", { size: 9, bold: true });
+      doc.y += 2;
+      pdfTable(doc, [{ title: "", w: 0.6 }, { title: "", w: 0.4, align: "right" }], rows, { header: false });
+      doc.y += 6;
+    });
+  }
+
+  // Findings
+  pdfHeading(doc, "Findings");
+  if (!redWarnings.length && !amberAlerts.length) {
+    pdfParagraph(doc, "No RED or AMBER findings for the active design rules.");
+  }
+  redWarnings.forEach(m => pdfParagraph(doc, `RED — ${m}`, { color: PDF_RED }));
+  amberAlerts.forEach(m => pdfParagraph(doc, `AMBER — ${m}`, { color: PDF_AMBER }));
+
+  // Gland diagram
+  const svg = document.querySelector("#glandDiagram svg");
+  pdfHeading(doc, "Gland Cross-Section (to scale)", 200);
+  if (svg) {
+    const vb = (svg.getAttribute("viewBox") || "0 0 1 1").split(/[\s,]+/).map(Number);
+    const w = Math.min(340, full), h = vb[3] * w / vb[2];
+    pdfEnsure(doc, h);
+    doc.y += pdfDrawSvg(doc, svg, M + (full - w) / 2, doc.y, w);
+    document.querySelectorAll("#glandDiagram .diagram-issues").forEach(el =>
+      pdfParagraph(doc, el.textContent.trim(), { color: PDF_RED }));
+  } else {
+    pdfParagraph(doc, "Diagram not available for the current inputs.", { color: PDF_GREY });
+  }
+
+  // Footer on every page (page count known only now)
+  const who = [meta.partNo, meta.revision && `Rev ${meta.revision}`].filter(Boolean).join(" ");
+  doc.pages.forEach((ops, i) => {
+    doc.ops = ops;
+    const fy = PDF_PAGE.h - M + 6;
+    pdfLine(doc, M, fy - 12, PDF_PAGE.w - M, fy - 12);
+    pdfText(doc, M, fy, `O-Ring / Gland Analysis Tool v${APP_VERSION} · generated ${stamp}${who ? ` · ${who}` : ""}`, { size: 7.5, color: PDF_GREY });
+    pdfText(doc, PDF_PAGE.w - M, fy, `Page ${i + 1} of ${doc.pages.length}`, { size: 7.5, color: PDF_GREY, align: "right" });
+  });
+
+  return pdfSerialize(doc, {
+    Title: `Gland report${meta.partNo ? ` ${meta.partNo}` : ""}${meta.revision ? ` rev ${meta.revision}` : ""}`,
+    Author: meta.author,
+    Subject: meta.project,
+    Producer: `O-Ring / Gland Analysis Tool v${APP_VERSION}`,
+    CreationDate: `D:${now.toISOString().replace(/[-:T]/g, "").slice(0, 14)}`
+  });
+}
+
+/* ---------- Export dialog ---------- */
+
+/** Export button: ask for the title block (last values remembered) */
+function exportPDF(){
+  if (!hasCalculated || !_lastRender) return;
+  let saved = {};
+  try { saved = JSON.parse(localStorage.getItem(REPORT_META_LS_KEY) || "{}") || {}; }
+  catch (e) { console.warn("Failed to parse report details:", e); }
+
+  REPORT_META_FIELDS.forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = id === "reportDate" ? new Date().toISOString().slice(0, 10) : (saved[id] || "");
+  });
+  const modal = document.getElementById("reportModal");
+  if (modal) modal.style.display = "block";
+  document.getElementById("reportProject")?.focus();
+}
+
+function closeReportModal(){
+  const modal = document.getElementById("reportModal");
+  if (modal) modal.style.display = "none";
+}
 
-function exportPDF(){ window.print(); }
+/** Build the PDF and download it */
+function generateReport(){
+  if (!hasCalculated || !_lastRender) return;
+  const saved = {};
+  REPORT_META_FIELDS.forEach(id => { saved[id] = document.getElementById(id)?.value || ""; });
+  localStorage.setItem(REPORT_META_LS_KEY, JSON.stringify(saved));
+
+  const meta = readReportMeta();
+  const pdf = buildReportPdf(meta);
+  const bytes = new Uint8Array(pdf.length);
+  for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i) & 0xff;
+
+  const base = [meta.partNo || "gland", meta.revision && `rev${meta.revision}`, "report"]
+    .filter(Boolean).join("-").replace(/[^\w.-]+/g, "_");
+  const url = URL.createObjectURL(new Blob([bytes], { type: "application/pdf" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${base}.pdf`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  closeReportModal();
+}
 
 
 /* =====================================================================================
@@ -1145,11 +6175,18 @@ function exportPDF(){ window.print(); }
 
 document.addEventListener("DOMContentLoaded", () => {
 
-  // 1) Input tracking (sets dataset.originalValue/Unit correctly)
+  // 1) Input tracking (sets dataset.originalValue/Unit correctly);
+  //    simulation selectors are generated first so they are tracked/saved too
+  buildMonteCarloControls();
+  buildRuleProfileOptions();
+  buildMaterialOptions();
+  buildSizeSeriesOptions();
   attachInputTracking();
 
   // 2) Restore previous session (also normalizes temp originals to C)
+  migrateSessionToLibrary();   // first run with the library: keep the old single session
   loadSession();
+  openDesignFromUrl();   // a shared link replaces the stored session
 
   // 3) Right-panel image (web path; forward slashes)
   setGlandPlaceholder("assets/Trapezoidal.png");
@@ -1166,7 +6203,7 @@ document.addEventListener("DOMContentLoaded", () => {
       updateUnitLabels();              // flip labels
       checkMandatoryStatus();
       saveSessionDebounced();
-      updateGlandInfoPanel();          // safe no-op
+      updateGlandInfoPanel();          // redraw diagram
     });
   });
 
@@ -1186,7 +6223,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
       checkMandatoryStatus();
       saveSessionDebounced();
-      updateGlandInfoPanel(); // safe no-op
+      updateGlandInfoPanel(); // redraw diagram
     });
   });
 
@@ -1195,7 +6232,72 @@ document.addEventListener("DOMContentLoaded", () => {
   document.getElementById("as568CancelBtn")?.addEventListener("click", closeAs568Modal);
   document.getElementById("as568AddBtn")?.addEventListener("click", applyAs568Selection);
   document.getElementById("as568Search")?.addEventListener("input", e => filterAs568Table(e.target.value));
-  document.addEventListener("keydown", (e) => { if (e.key==="Escape") closeAs568Modal(); });
+  ["as568TargetID","as568TargetCS"].forEach(id =>
+    document.getElementById(id)?.addEventListener("input", onAs568TargetInput));
+  document.querySelectorAll("#as568Modal th[data-sort]").forEach(th =>
+    th.addEventListener("click", () => sortAs568Table(th.dataset.sort)));
+  document.getElementById("as568Modal")?.addEventListener("keydown", onAs568Keydown);
+  document.getElementById("catalogImportBtn")?.addEventListener("click", () => document.getElementById("catalogFile")?.click());
+  document.getElementById("catalogFile")?.addEventListener("change", async e => {
+    const file = e.target.files && e.target.files[0];
+    try {
+      if (file) await startCatalogImport(file);
+    } catch (err) {
+      cancelCatalogImport();
+      renderCatalogReport(`${file.name}: could not import the catalog (${err.message}).`, null);
+    }
+    e.target.value = "";
+  });
+  document.getElementById("catalogSaveBtn")?.addEventListener("click", saveCatalogImport);
+  document.getElementById("catalogCancelBtn")?.addEventListener("click", cancelCatalogImport);
+  document.getElementById("catalogDeleteBtn")?.addEventListener("click", deleteSizeCatalog);
+  document.addEventListener("keydown", (e) => {
+    if (e.key==="Escape") { closeAs568Modal(); closeDesignModal(); closeSizeSuggestModal(); closeRulesModal(); closeMaterialLibrary(); closeReportModal(); closeDesignLibrary(); }
+  });
+
+  // 6a) Temperature sweep hover readout (guarded)
+  const sweepPanel = document.getElementById("sweepPanel");
+  sweepPanel?.addEventListener("mousemove", onSweepHover);   // mouseleave is bound per chart in renderSweepPanel
+
+  // 6b) Rule profile editor (guarded)
+  document.getElementById("editRulesBtn")?.addEventListener("click", openRulesModal);
+  document.getElementById("rulesSaveBtn")?.addEventListener("click", saveRulesProfile);
+  document.getElementById("rulesDeleteBtn")?.addEventListener("click", deleteRulesProfile);
+  document.getElementById("rulesCloseBtn")?.addEventListener("click", closeRulesModal);
+
+  // 6c) Material library (guarded)
+  document.getElementById("editMaterialsBtn")?.addEventListener("click", openMaterialLibrary);
+  document.getElementById("matLibSaveBtn")?.addEventListener("click", saveMaterialCompound);
+  document.getElementById("matLibCloneBtn")?.addEventListener("click", cloneMaterialCompound);
+  document.getElementById("matLibDeleteBtn")?.addEventListener("click", deleteMaterialCompound);
+  document.getElementById("matLibExportBtn")?.addEventListener("click", exportMaterialLibrary);
+  document.getElementById("matLibCloseBtn")?.addEventListener("click", closeMaterialLibrary);
+  document.getElementById("matLibImportBtn")?.addEventListener("click", () => document.getElementById("matLibFile")?.click());
+  document.getElementById("matLibFile")?.addEventListener("change", async e => {
+    const file = e.target.files && e.target.files[0];
+    if (file) importMaterialLibrary(await file.text());
+    e.target.value = "";
+  });
+  document.getElementById("matLibBody")?.addEventListener("change", e => {
+    if (e.target.id === "matLibPick") fillMaterialEditor(e.target.value || null);
+  });
+
+  // 6d) Size suggestions modal (guarded)
+  document.getElementById("openSizeSuggestBtn")?.addEventListener("click", openSizeSuggestModal);
+  document.getElementById("sizeSuggestCancelBtn")?.addEventListener("click", closeSizeSuggestModal);
+  document.getElementById("sizeSuggestUseBtn")?.addEventListener("click", applySizeSuggestion);
+  document.getElementById("sizeSuggestBody")?.addEventListener("click", e => {
+    const tr = e.target.closest("tr[data-fit]");
+    if (tr) selectSizeFit(Number(tr.dataset.fit));
+  });
+
+  // 6e) Design-for-me modal (guarded)
+  document.getElementById("openDesignBtn")?.addEventListener("click", openDesignModal);
+  document.getElementById("designCloseBtn")?.addEventListener("click", closeDesignModal);
+  document.getElementById("designBody")?.addEventListener("click", e => {
+    const btn = e.target.closest("[data-candidate]");
+    if (btn) applyDesignCandidate(Number(btn.dataset.candidate));
+  });
 
   // 7) Export button (guarded)
   const exportBtn=document.getElementById("exportBtn");
@@ -1204,15 +6306,41 @@ document.addEventListener("DOMContentLoaded", () => {
     exportBtn.classList.add("disabled");
     exportBtn.addEventListener("click", exportPDF);
   }
+  // 7a) Design files and share links (guarded)
+  document.getElementById("saveDesignBtn")?.addEventListener("click", saveDesignFile);
+  document.getElementById("openDesignFileBtn")?.addEventListener("click", () => document.getElementById("designFile")?.click());
+  document.getElementById("designFile")?.addEventListener("change", async e => {
+    const file = e.target.files && e.target.files[0];
+    if (file) importDesignFile(await file.text());
+    e.target.value = "";
+  });
+  document.getElementById("copyLinkBtn")?.addEventListener("click", copyDesignLink);
+
+  document.getElementById("openDesignLibBtn")?.addEventListener("click", openDesignLibrary);
+  document.getElementById("designLibCloseBtn")?.addEventListener("click", closeDesignLibrary);
+  document.getElementById("designLibSaveBtn")?.addEventListener("click", () => saveDesignToLibrary(false));
+  document.getElementById("designLibSaveNewBtn")?.addEventListener("click", () => saveDesignToLibrary(true));
+  document.getElementById("designLibNewBtn")?.addEventListener("click", () => { setDesignLibMessage(""); fillDesignLibForm(null); renderDesignLibrary(); });
+  document.getElementById("designLibSearch")?.addEventListener("input", renderDesignLibrary);
+  document.getElementById("designLibList")?.addEventListener("click", onDesignLibClick);
+  document.getElementById("designLibHistory")?.addEventListener("click", onDesignLibClick);
+  window.addEventListener("hashchange", openDesignFromUrl);
+  document.getElementById("reportGenerateBtn")?.addEventListener("click", generateReport);
+  document.getElementById("reportCancelBtn")?.addEventListener("click", closeReportModal);
 
   // 8) Primary actions (guarded)
   document.getElementById("calculateBtn")?.addEventListener("click", runCalculation);
   document.getElementById("resetBtn")?.addEventListener("click", resetForm);
+  document.getElementById("mcRunBtn")?.addEventListener("click", runMonteCarlo);
+  document.querySelectorAll("input.sim-input")
+    .forEach(inp => inp.addEventListener("input", saveSessionDebounced));
 
   // 9) First pass UI sync
+  applyGlandTypeMapping();
+  applyHousingMapping();
   updateUnitLabels();
   checkMandatoryStatus();
-  updateGlandInfoPanel(); // safe no-op
+  updateGlandInfoPanel(); // redraw diagram
 });
 
 
@@ -1228,6 +6356,12 @@ function resetResultsOnly() {
   // Clear result cards
   const grid = document.getElementById("resultsGrid");
   if (grid) grid.innerHTML = "";
+  renderRulesNote(null);
+  renderStackupPanel(null);
+  renderSweepPanel(null);
+  renderSealLifePanel(null);
+  cancelMonteCarlo();
+  setMonteCarloEnabled(false);
 
   hasCalculated = false;
 
@@ -1246,13 +6380,25 @@ function resetForm() {
     i.disabled=false;
   });
 
+  document.querySelectorAll(".sim-dist-select").forEach(s => { s.value = "normal"; });
+
   const alphaDisp = document.getElementById("alphaAppDisplay");
   if (alphaDisp) alphaDisp.textContent = "";
+  renderMaterialRangeNote();
+  oringSizeRef = null;
+  renderOringSizeNote();
+  currentDesignId = null;   // saved library designs are kept; the form just detaches
+  buildSizeSeriesOptions(SIZE_SERIES_DEFAULT);
+  applyGlandTypeMapping();
+  buildRuleProfileOptions();
+  Object.entries(UNIT_SELECT_FIELDS).forEach(([id, u]) => { document.getElementById(id).value = u.def; });
+  applyHousingMapping();
+  applyMediaMapping();
 
   resetResultsOnly();
   checkMandatoryStatus();
   saveSessionDebounced();
-  updateGlandInfoPanel(); // safe no-op
+  updateGlandInfoPanel(); // redraw diagram
 }
 
 
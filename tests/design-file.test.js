@@ -0,0 +1,47 @@
+// Run with: node --test tests/
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScript } = require("./helpers/load-script");
+
+const run = loadScript();
+const validate = d => Array.from(run(`validateDesignFile(${JSON.stringify(d)})`));
+const design = (extra = {}, session = {}) =>
+  ({ format: "gland-design", version: 1, session: { __v: 1, ...session }, ...extra });
+
+test("a minimal design passes", () => {
+  assert.deepStrictEqual(validate(design()), []);
+});
+
+test("wrong format, newer version and missing inputs are rejected", () => {
+  assert.match(validate({ format: "x", version: 1 })[0], /format marker missing/);
+  assert.match(validate(design({ version: 99, app: "9.9.9" }))[0], /newer version.*9\.9\.9/);
+  assert.match(validate({ format: "gland-design", version: 1 })[0], /no inputs/);
+});
+
+test("malformed compound CTE tables give a readable error", () => {
+  const compound = { name: "Z", family: "FKM", alpha: 2e-4, hardness: [] };
+  assert.match(validate(design({ compound: { ...compound, alphaTable: "x" } }))[0], /Material "Z": The CTE table is not a list/);
+  assert.match(validate(design({ compound: { ...compound, alphaTable: [1, 2] } }))[0], /row 1 \(1\) is not a \[°C, α\] pair/);
+});
+
+test("a malformed size reference is rejected", () => {
+  assert.deepStrictEqual(validate(design({}, { __sizeRef: 5 })), ["The picked standard size is malformed."]);
+  assert.deepStrictEqual(validate(design({}, { __sizeRef: { series: "as568", standard: "AS568", code: 3 } })),
+    ["The picked standard size is malformed."]);
+  assert.deepStrictEqual(validate(design({}, { __sizeRef: { series: "as568", standard: "AS568", code: "214" } })), []);
+});
+
+test("design links round-trip, compressed and plain", async () => {
+  const d = design({}, { oringCS: { v: "0.139", ov: "0.139", ou: "in" } });
+  const token = await run(`encodeDesignLink(${JSON.stringify(d)})`);
+  assert.ok(token.startsWith("z."));
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(await run(`decodeDesignLink(${JSON.stringify(token)})`))), d);
+
+  const plain = "j." + Buffer.from(JSON.stringify(d)).toString("base64url");
+  assert.strictEqual((await run(`decodeDesignLink(${JSON.stringify(plain)})`)).session.oringCS.v, "0.139");
+});
+
+test("unknown or corrupt links reject", async () => {
+  await assert.rejects(run(`decodeDesignLink("q.abc")`), /unknown link encoding/);
+  await assert.rejects(run(`decodeDesignLink("j.bm90IGpzb24")`));
+});
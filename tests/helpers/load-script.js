@@ -0,0 +1,16 @@
+// Loads script.js without a page; only engine functions are exercised.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/** Fresh context with script.js loaded; returns run(src), evaluated in its global scope */
+function loadScript(){
+  const ctx = vm.createContext({
+    document: { addEventListener() {}, getElementById() { return null; } },
+    console, atob, btoa, TextEncoder, TextDecoder, Blob, Response, CompressionStream, DecompressionStream
+  });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "..", "script.js"), "utf8"), ctx);
+  return src => vm.runInContext(src, ctx);
+}
+
+module.exports = { loadScript };
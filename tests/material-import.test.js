@@ -0,0 +1,28 @@
+// Run with: node --test tests/
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScript } = require("./helpers/load-script");
+
+const run = loadScript();
+const fromJson = raw => run(`compoundFromJson(${JSON.stringify(raw)})`);
+const validate = (name, c) => run(`validateCompound(${JSON.stringify(name)}, ${JSON.stringify(c)})`);
+
+test("string CTE values are coerced to numbers", () => {
+  const { c, rowIssues } = fromJson({ family: "FKM", alpha: "1.6e-4", alphaTable: [[-20, "1.9e-4"], [23, 2e-4]] });
+  assert.strictEqual(rowIssues.length, 0);
+  assert.strictEqual(c.alpha, 1.6e-4);
+  assert.deepStrictEqual(Array.from(c.alphaTable, r => [...r]), [[-20, 1.9e-4], [23, 2e-4]]);
+});
+
+test("CTE table rows that are not number pairs are reported, not thrown", () => {
+  assert.strictEqual(fromJson({ alphaTable: [1.2, 3] }).rowIssues.length, 2);
+  assert.strictEqual(fromJson({ alphaTable: [[23, 2e-4, 5], [100, null]] }).rowIssues.length, 2);
+  assert.strictEqual(fromJson({ alphaTable: "x" }).rowIssues.length, 1);
+});
+
+test("non-finite CTE is rejected", () => {
+  ["abc", "Infinity", "", null].forEach(alpha => {
+    const { c } = fromJson({ family: "FKM", alpha });
+    assert.ok(validate("X", c).some(m => /CTE must be a positive number/.test(m)), String(alpha));
+  });
+});
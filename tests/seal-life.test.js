@@ -0,0 +1,40 @@
+// Run with: node --test tests/
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScript } = require("./helpers/load-script");
+
+const run = loadScript();
+
+test("families with aging data get a life curve", () => {
+  const life = run(`estimateSealLife("NBR", 100, 20, 1000, 10)`);
+  assert.ok(!life.noAgingData);
+  assert.ok(life.curve.length > 0);
+  assert.ok(life.atLife.setPct > 0);
+});
+
+test("NBR reaches its datasheet set at the reference point", () => {
+  const life = run(`estimateSealLife("NBR", 100, 20, 70, 10)`);
+  assert.ok(Math.abs(life.atLife.setPct - 20) < 0.5, String(life.atLife.setPct));
+});
+
+test("every material family has aging data", () => {
+  const families = run(`Object.keys(MATERIAL_TO_CTE)`);
+  const aging = run(`AGING_PARAMS`);
+  families.forEach(f => assert.ok(aging[f], f));
+});
+
+test("a family without aging data is reported, not dropped", () => {
+  const life = run(`estimateSealLife("XNBR", 140, 20, 20000, 10)`);
+  assert.strictEqual(life.noAgingData, true);
+  assert.strictEqual(life.family, "XNBR");
+  assert.strictEqual(life.designHours, 20000);
+
+  const { amber } = run(`collectSealLifeFindings(estimateSealLife("XNBR", 140, 20, 20000, 10))`);
+  assert.strictEqual(amber.length, 1);
+  assert.match(amber[0], /no compression-set aging data for XNBR/);
+});
+
+test("no design life, no alert for a family without aging data", () => {
+  const { amber } = run(`collectSealLifeFindings(estimateSealLife("XNBR", 80, 20, NaN, 10))`);
+  assert.deepStrictEqual([...amber], []);
+});
@@ -0,0 +1,40 @@
+// Run with: node --test tests/
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScript } = require("./helpers/load-script");
+
+const run = loadScript();
+const parse = text => run(`parseSizeCatalog(${JSON.stringify(text)})`);
+
+test("reads codes, sizes, tolerances and the header unit", () => {
+  const p = parse("Size;CS (mm);ID (mm);CS Tol;ID Tol\n2-214;3,53;24,99;±0.10;0.25 mm\n");
+  assert.strictEqual(p.error, null);
+  assert.strictEqual(p.unit, "mm");
+  assert.strictEqual(p.rows.length, 1);
+  const r = p.rows[0];
+  assert.deepStrictEqual([r.dash, r.cs, r.id, r.csTol, r.idTol], ["2-214", 3.53, 24.99, 0.1, 0.25]);
+});
+
+test("empty and delimiter-only files are reported, not thrown", () => {
+  assert.strictEqual(parse("").error, "The file is empty.");
+  assert.strictEqual(parse(",,\n,,").error, "The file is empty.");
+});
+
+test("a header without the size columns is an error", () => {
+  assert.match(parse("Code,Material\n1,NBR").error, /Missing cross section \(CS\), inside diameter \(ID\) columns/);
+});
+
+test("bad rows are skipped with their line and bad tolerances only warned", () => {
+  const p = parse("code,cs,id,cs tol\nA,1.5,10,x\nB,abc,10\nC,1.5\n");
+  assert.deepStrictEqual(Array.from(p.rows, r => r.dash), ["A"]);
+  assert.strictEqual(p.rows[0].csTol, undefined);
+  assert.deepStrictEqual(Array.from(p.warnings, w => w.line), [2]);
+  assert.deepStrictEqual(Array.from(p.skipped, s => s.line), [3, 4]);
+});
+
+test("rows differing only by part number are kept; exact repeats are skipped", () => {
+  const p = parse("code,cs,id,part no\n214,3.53,24.99,P1\n214,3.53,24.99,P2\n214,3.53,24.99,P1\n");
+  assert.strictEqual(p.rows.length, 2);
+  assert.strictEqual(p.skipped.length, 1);
+  assert.match(p.skipped[0].reason, /duplicate of size 214 \(P1\) on line 2/);
+});